@@ -0,0 +1,16 @@
+// scripts/ada.js
+
+// Koios and the Catalyst API report ADA amounts in lovelace
+const LOVELACE_PER_ADA = 1000000;
+
+/**
+ * Converts a lovelace amount (number or numeric string) to ADA.
+ */
+function lovelaceToAda(lovelace) {
+  return (parseFloat(lovelace) || 0) / LOVELACE_PER_ADA;
+}
+
+module.exports = {
+  LOVELACE_PER_ADA,
+  lovelaceToAda
+};
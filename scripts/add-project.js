@@ -0,0 +1,267 @@
+// scripts/add-project.js
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline/promises');
+const { getProposalDetails, fetchMilestoneMonths } = require('./catalystApi');
+const { validateConfig, formatErrors } = require('./configValidator');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'src', 'config', 'projects.json');
+
+const USAGE = `Usage: node scripts/add-project.js <project_id> [options]
+
+Options:
+  --wallet <address>          Project wallet (addr1... or stake1...)
+  --collaborator <spec>       Collaborator as name:amount or name:percent%, optionally
+                              followed by :address[,address...]; repeatable
+  --start <YYYY-MM-DD>        Start date (default: first day of the current month)
+  --end <YYYY-MM-DD>          End date (default: start plus the milestone plan)
+  --config <path>             Configuration file (default: src/config/projects.json)
+  --yes                       Accept the suggestions without prompting
+  --dry-run                   Print the entry instead of writing it`;
+
+/**
+ * Parses command line arguments.
+ */
+function parseArgs(argv) {
+  const options = {
+    projectId: null,
+    wallet: null,
+    collaborators: [],
+    start: null,
+    end: null,
+    config: DEFAULT_CONFIG_PATH,
+    yes: false,
+    dryRun: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--wallet') {
+      options.wallet = argv[++i];
+    } else if (arg === '--collaborator') {
+      options.collaborators.push(parseCollaborator(argv[++i]));
+    } else if (arg === '--start') {
+      options.start = argv[++i];
+    } else if (arg === '--end') {
+      options.end = argv[++i];
+    } else if (arg === '--config') {
+      options.config = path.resolve(argv[++i]);
+    } else if (arg === '--yes') {
+      options.yes = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (!arg.startsWith('--') && !options.projectId) {
+      options.projectId = arg;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Parses a collaborator given as name:amount or name:percent%, optionally
+ * followed by :address[,address...].
+ */
+function parseCollaborator(spec) {
+  const [name, share, addresses] = String(spec || '').split(':').map(part => part.trim());
+  if (!name || !share) {
+    throw new Error(`Invalid collaborator "${spec}", expected name:amount or name:percent%`);
+  }
+
+  const collaborator = share.endsWith('%')
+    ? { name, allocation: parseFloat(share) / 100 }
+    : { name, amount: parseFloat(share) };
+  if (addresses) {
+    collaborator.addresses = addresses.split(',').map(address => address.trim()).filter(Boolean);
+  }
+  return collaborator;
+}
+
+/**
+ * Suggests a date range: the given start (or the first day of the current
+ * month) until the end of the month in which the last milestone is due.
+ *
+ * @param {string|null} start - Start date, YYYY-MM-DD
+ * @param {number} months - Planned project duration in months
+ * @returns {{start: string, end: string}}
+ */
+function suggestDateRange(start, months) {
+  const now = new Date();
+  const startDate = start
+    ? new Date(`${start}T00:00:00Z`)
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const endDate = new Date(Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth() + Math.max(months, 1), 0));
+
+  return {
+    start: startDate.toISOString().split('T')[0],
+    end: endDate.toISOString().split('T')[0]
+  };
+}
+
+/**
+ * Inserts a project entry at the end of the "projects" array of a JSON
+ * document, leaving the formatting of the rest of the file untouched.
+ *
+ * @param {string} text - Contents of projects.json
+ * @param {Object} entry - Project entry
+ * @returns {string} - Updated contents
+ */
+function insertProjectEntry(text, entry) {
+  let depth = 0;
+  let inString = false;
+  let stringStart = -1;
+  let lastKey = null;
+  let arrayStart = -1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+        if (depth === 1) lastKey = text.slice(stringStart + 1, i);
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+      stringStart = i;
+    } else if (char === '{' || char === '[') {
+      depth++;
+      if (char === '[' && depth === 2 && lastKey === 'projects') arrayStart = i;
+    } else if (char === '}' || char === ']') {
+      depth--;
+      if (depth === 1 && arrayStart !== -1) {
+        const lineStart = text.lastIndexOf('\n', arrayStart) + 1;
+        const indent = `${text.slice(lineStart, arrayStart).match(/^\s*/)[0]}  `;
+        const formatted = JSON.stringify(entry, null, 2).split('\n').map(line => indent + line).join('\n');
+        const before = text.slice(0, i).trimEnd();
+        const empty = before.endsWith('[');
+        return `${before}${empty ? '' : ','}\n${formatted}\n${indent.slice(2)}${text.slice(i)}`;
+      }
+    } else if (char === ',' && depth === 1) {
+      lastKey = null;
+    }
+  }
+
+  throw new Error('The configuration has no "projects" array');
+}
+
+/**
+ * Asks a question on the terminal, returning the default for an empty answer.
+ */
+async function ask(rl, question, defaultValue = '') {
+  const answer = (await rl.question(defaultValue ? `${question} [${defaultValue}]: ` : `${question}: `)).trim();
+  return answer || defaultValue;
+}
+
+/**
+ * Prompts for collaborators until an empty name is entered.
+ */
+async function askCollaborators(rl) {
+  const collaborators = [];
+  for (;;) {
+    const name = await ask(rl, 'Collaborator name (empty to finish)');
+    if (!name) return collaborators;
+    const share = await ask(rl, `  Amount in ADA or share of the budget (e.g. 40000 or 25%) for ${name}`);
+    const addresses = await ask(rl, `  Payment addresses for ${name} (comma separated, optional)`);
+    collaborators.push(parseCollaborator([name, share, addresses].filter(Boolean).join(':')));
+  }
+}
+
+/**
+ * Scaffolds a projects.json entry from a Catalyst project ID: the title,
+ * budget and milestone count come from the proposal, the date range is
+ * suggested from the milestone plan, and the wallet and collaborators are
+ * taken from flags or prompted for. The entry is validated together with
+ * the rest of the configuration before it is written.
+ */
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help || !options.projectId) {
+    console.log(USAGE);
+    if (!options.projectId && !options.help) process.exitCode = 1;
+    return;
+  }
+
+  const text = fs.readFileSync(options.config, 'utf8');
+  const config = JSON.parse(text);
+  if ((config.projects || []).some(project => project.project_id === options.projectId)) {
+    throw new Error(`Project ${options.projectId} is already configured in ${options.config}`);
+  }
+
+  const proposal = await getProposalDetails(options.projectId);
+  if (!proposal) {
+    throw new Error(`No Catalyst proposal found for project ${options.projectId}`);
+  }
+
+  const milestoneMonths = await fetchMilestoneMonths(proposal.id);
+  const plannedMonths = Math.max(0, ...Object.values(milestoneMonths)) || proposal.milestones_qty || 12;
+  const suggested = suggestDateRange(options.start, plannedMonths);
+
+  console.log(`Project ${options.projectId}: ${proposal.title}`);
+  console.log(`Budget ${proposal.budget} ADA, ${proposal.milestones_qty} milestones over ${plannedMonths} months`);
+
+  const interactive = !options.yes && process.stdin.isTTY;
+  const rl = interactive ? readline.createInterface({ input: process.stdin, output: process.stdout }) : null;
+
+  let entry;
+  try {
+    const wallet = options.wallet || (rl ? await ask(rl, 'Project wallet (addr1... or stake1...)') : null);
+    if (!wallet) {
+      throw new Error('A project wallet is required, pass it with --wallet');
+    }
+
+    const collaborators = options.collaborators.length > 0 || !rl
+      ? options.collaborators
+      : await askCollaborators(rl);
+    const start = options.start || (rl ? await ask(rl, 'Start date', suggested.start) : suggested.start);
+    const end = options.end || (rl
+      ? await ask(rl, 'End date', suggestDateRange(start, plannedMonths).end)
+      : suggestDateRange(start, plannedMonths).end);
+
+    entry = {
+      project_id: options.projectId,
+      title: proposal.title,
+      budget: proposal.budget,
+      milestones_qty: proposal.milestones_qty,
+      wallet,
+      collaborators,
+      dateRanges: { start, end }
+    };
+  } finally {
+    rl?.close();
+  }
+
+  const errors = validateConfig(
+    { ...config, projects: [...(config.projects || []), entry] },
+    { budgets: { [options.projectId]: proposal.budget } }
+  );
+  if (errors.length > 0) {
+    throw new Error(`The new entry is invalid:\n${formatErrors(errors)}`);
+  }
+
+  if (options.dryRun) {
+    console.log(JSON.stringify(entry, null, 2));
+    return;
+  }
+
+  fs.writeFileSync(options.config, insertProjectEntry(text, entry));
+  console.log(`Added project ${options.projectId} to ${options.config}`);
+}
+
+// Execute main function
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`Could not add project: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseCollaborator, suggestDateRange, insertProjectEntry, main };
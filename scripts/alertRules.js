@@ -0,0 +1,166 @@
+// scripts/alertRules.js
+const { formatAda } = require('./changeDetector');
+
+// Severity levels, from least to most severe
+const SEVERITY_LEVELS = ['info', 'warning', 'critical'];
+
+/**
+ * Checks whether a rule applies to the given project.
+ * Rules without a `projects` list apply to every project.
+ */
+function appliesToProject(rule, projectId) {
+  return !Array.isArray(rule.projects) || rule.projects.map(String).includes(String(projectId));
+}
+
+/**
+ * Checks whether a rule applies to the given organization.
+ * Rules without an `organizations` list apply to every organization.
+ */
+function appliesToOrganization(rule, organizationName) {
+  return !Array.isArray(rule.organizations) || rule.organizations.includes(organizationName);
+}
+
+/**
+ * Runway under a number of months, at the real or max monthly budget.
+ * Organizations without the corresponding monthly budget or a known
+ * wallet balance are skipped.
+ */
+function evaluateRunway(rule, context) {
+  const budgetKey = rule.budget === 'max' ? 'maxMonthlyBudget' : 'realMonthlyBudget';
+  const monthsKey = rule.budget === 'max' ? 'monthsWithMaxBudget' : 'monthsWithRealBudget';
+
+  return context.organizations
+    .filter(org => appliesToOrganization(rule, org.name) && org[budgetKey] > 0 && org[monthsKey] !== null)
+    .filter(org => org[monthsKey] < rule.minMonths)
+    .map(org =>
+      `${org.name} has ${org[monthsKey]} months of runway at the ${rule.budget === 'max' ? 'max' : 'real'} ` +
+      `monthly budget (minimum ${rule.minMonths})`
+    );
+}
+
+/**
+ * Milestones overdue (past their due_date without PoA sign-off or payment,
+ * see milestoneStatus.js) by more than a number of days.
+ */
+function evaluateMilestoneOverdue(rule, context) {
+  const graceDays = Number(rule.days || 0);
+  const messages = [];
+
+  for (const project of context.projects) {
+    if (!appliesToProject(rule, project.projectId)) continue;
+
+    for (const milestone of project.milestones) {
+      if (milestone.status !== 'overdue') continue;
+
+      const daysLate = Math.floor((context.now - Date.parse(milestone.due_date)) / (24 * 60 * 60 * 1000));
+      if (daysLate > graceDays) {
+        messages.push(
+          `Project ${project.projectId} milestone ${milestone.milestone} is not approved ` +
+          `${daysLate} days after its due date (${milestone.due_date})`
+        );
+      }
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * Projects that received more than their budget.
+ */
+function evaluateOverBudget(rule, context) {
+  return context.projects
+    .filter(project => appliesToProject(rule, project.projectId))
+    .map(project => ({
+      project,
+      received: project.transactions.reduce((sum, tx) => sum + tx.amount, 0)
+    }))
+    .filter(({ project, received }) => received > project.financials.totalBudget)
+    .map(({ project, received }) =>
+      `Project ${project.projectId} received ${formatAda(received)}, more than its budget of ` +
+      formatAda(project.financials.totalBudget)
+    );
+}
+
+/**
+ * Organization wallet balances that dropped more than a percentage since the
+ * previous run's global_financials.csv.
+ */
+function evaluateBalanceDrop(rule, context) {
+  const previousRows = context.previousGlobalFinancials || [];
+
+  return context.organizations
+    .filter(org => appliesToOrganization(rule, org.name) && org.walletBalanceAda !== null)
+    .map(org => {
+      const previousRow = previousRows.find(row => row.Organization === org.name);
+      const previousBalance = Number(previousRow?.['Wallet Balance (ADA)']);
+      return { org, previousBalance };
+    })
+    .filter(({ previousBalance }) => previousBalance > 0)
+    .map(({ org, previousBalance }) => ({
+      org,
+      previousBalance,
+      dropPercent: ((previousBalance - org.walletBalanceAda) / previousBalance) * 100
+    }))
+    .filter(({ dropPercent }) => dropPercent > rule.percent)
+    .map(({ org, previousBalance, dropPercent }) =>
+      `${org.name} wallet balance dropped ${dropPercent.toFixed(1)}% since the last run ` +
+      `(${formatAda(previousBalance)} → ${formatAda(org.walletBalanceAda)})`
+    );
+}
+
+const RULE_EVALUATORS = {
+  runway: evaluateRunway,
+  milestone_overdue: evaluateMilestoneOverdue,
+  over_budget: evaluateOverBudget,
+  balance_drop: evaluateBalanceDrop
+};
+
+/**
+ * Evaluates the declarative alert rules from globalSettings.alerts.rules.
+ *
+ * @param {Array<Object>} rules - Rule definitions ({ type, severity, name, ...type specific settings })
+ * @param {Object} context - Data of the current run
+ * @param {Array<Object>} context.projects - Processed projects
+ * @param {Array<Object>} context.organizations - Organization financials of this run
+ * @param {Array<Object>|null} [context.previousGlobalFinancials] - Previous global_financials.csv records
+ * @param {Date} [context.now] - Evaluation time
+ * @returns {Array<{rule: string, severity: string, message: string}>} - Raised alerts
+ */
+function evaluateAlertRules(rules, context) {
+  const evaluationContext = { now: new Date(), ...context };
+  const alerts = [];
+
+  for (const rule of rules || []) {
+    if (rule.enabled === false) continue;
+
+    const evaluate = RULE_EVALUATORS[rule.type];
+    if (!evaluate) {
+      console.error(`Unknown alert rule type: ${rule.type}`);
+      continue;
+    }
+
+    const severity = SEVERITY_LEVELS.includes(rule.severity) ? rule.severity : 'warning';
+    for (const message of evaluate(rule, evaluationContext)) {
+      alerts.push({ rule: rule.name || rule.type, severity, message });
+    }
+  }
+
+  // Most severe alerts first
+  return alerts.sort((a, b) => SEVERITY_LEVELS.indexOf(b.severity) - SEVERITY_LEVELS.indexOf(a.severity));
+}
+
+/**
+ * Returns the highest severity among the given alerts.
+ */
+function highestSeverity(alerts) {
+  return alerts.reduce((highest, alert) =>
+    SEVERITY_LEVELS.indexOf(alert.severity) > SEVERITY_LEVELS.indexOf(highest) ? alert.severity : highest,
+  'info');
+}
+
+module.exports = {
+  SEVERITY_LEVELS,
+  evaluateAlertRules,
+  highestSeverity
+};
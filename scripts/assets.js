@@ -0,0 +1,159 @@
+// scripts/assets.js
+const { getAssetInfo } = require('./koiosWrapper');
+
+// Asset metadata resolved through Koios, shared by every project of a run
+const assetMetadataCache = new Map();
+
+/**
+ * Builds the unit (policy ID + hex asset name) identifying a native token.
+ */
+function toUnit(asset) {
+  return `${asset.policy_id}${asset.asset_name || ''}`;
+}
+
+/**
+ * Adds the quantities of an asset list to running totals.
+ * Quantities are kept as BigInt since token supplies exceed safe integers.
+ *
+ * @param {Map<string, Object>} totals - Totals keyed by unit
+ * @param {Array<Object>} assetList - Koios asset_list entries
+ * @param {bigint} [sign] - 1n to add, -1n to subtract
+ * @returns {Map<string, Object>} - The updated totals
+ */
+function addAssets(totals, assetList, sign = 1n) {
+  for (const asset of assetList || []) {
+    const unit = toUnit(asset);
+    const current = totals.get(unit) || {
+      unit,
+      policyId: asset.policy_id,
+      assetName: asset.asset_name || '',
+      fingerprint: asset.fingerprint || null,
+      decimals: asset.decimals ?? null,
+      quantity: 0n
+    };
+    current.quantity += sign * BigInt(asset.quantity || 0);
+    totals.set(unit, current);
+  }
+  return totals;
+}
+
+/**
+ * Adds asset totals or described assets (see describeAssets) to running totals.
+ *
+ * @param {Map<string, Object>} totals - Totals keyed by unit
+ * @param {Iterable<Object>} assets - Entries with unit, policyId, assetName and quantity
+ * @returns {Map<string, Object>} - The updated totals
+ */
+function mergeAssets(totals, assets) {
+  for (const asset of assets || []) {
+    const current = totals.get(asset.unit) || {
+      unit: asset.unit,
+      policyId: asset.policyId,
+      assetName: asset.assetName,
+      fingerprint: asset.fingerprint,
+      decimals: asset.decimals,
+      quantity: 0n
+    };
+    current.quantity += BigInt(asset.quantity);
+    totals.set(asset.unit, current);
+  }
+  return totals;
+}
+
+/**
+ * Sums the native tokens of the outputs matching a predicate.
+ */
+function sumOutputAssets(outputs, predicate) {
+  return (outputs || [])
+    .filter(predicate)
+    .reduce((totals, output) => addAssets(totals, output.asset_list), new Map());
+}
+
+/**
+ * Decodes a hex asset name when it is printable ASCII.
+ * CIP-68 names start with a 4-byte label (e.g. 0014df10), which is skipped.
+ */
+function decodeAssetName(hexName) {
+  if (!hexName) return '';
+  const name = /^0[0-9a-f]{6}0/.test(hexName) && hexName.length > 8 ? hexName.slice(8) : hexName;
+  const decoded = Buffer.from(name, 'hex').toString('utf8');
+  return /^[\x20-\x7e]+$/.test(decoded) ? decoded : '';
+}
+
+/**
+ * Resolves decimals and tickers of the given units through Koios asset_info.
+ * Results are cached for the rest of the run.
+ */
+async function resolveAssetMetadata(assets) {
+  const unknown = assets.filter(asset => !assetMetadataCache.has(asset.unit));
+  if (unknown.length > 0) {
+    const infos = await getAssetInfo(unknown.map(asset => [asset.policyId, asset.assetName]));
+    for (const info of infos || []) {
+      const registry = info.token_registry_metadata || {};
+      assetMetadataCache.set(toUnit(info), {
+        ticker: registry.ticker || decodeAssetName(info.asset_name) || info.fingerprint,
+        decimals: registry.decimals ?? info.decimals ?? null
+      });
+    }
+    // Remember assets Koios knows nothing about, so they are not requested again
+    for (const asset of unknown) {
+      if (!assetMetadataCache.has(asset.unit)) assetMetadataCache.set(asset.unit, {});
+    }
+  }
+
+  return assets.map(asset => assetMetadataCache.get(asset.unit) || {});
+}
+
+/**
+ * Converts a raw BigInt quantity into a decimal string.
+ */
+function formatQuantity(quantity, decimals) {
+  const places = Number(decimals) || 0;
+  const negative = quantity < 0n;
+  const digits = (negative ? -quantity : quantity).toString().padStart(places + 1, '0');
+  const whole = digits.slice(0, digits.length - places);
+  const fraction = places > 0 ? digits.slice(-places).replace(/0+$/, '') : '';
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Turns asset totals into plain objects with resolved tickers and amounts.
+ * Assets with a zero quantity are dropped.
+ *
+ * @param {Map<string, Object>} totals - Totals keyed by unit (from addAssets)
+ * @returns {Promise<Array<Object>>} - { unit, policyId, assetName, fingerprint, ticker, decimals, quantity, amount }
+ */
+async function describeAssets(totals) {
+  const assets = [...totals.values()].filter(asset => asset.quantity !== 0n);
+  if (assets.length === 0) return [];
+
+  const metadata = await resolveAssetMetadata(assets);
+  return assets.map((asset, index) => {
+    const decimals = metadata[index].decimals ?? asset.decimals ?? 0;
+    return {
+      unit: asset.unit,
+      policyId: asset.policyId,
+      assetName: asset.assetName,
+      fingerprint: asset.fingerprint,
+      ticker: metadata[index].ticker || decodeAssetName(asset.assetName) || asset.fingerprint || asset.unit,
+      decimals: Number(decimals),
+      quantity: asset.quantity.toString(),
+      amount: formatQuantity(asset.quantity, decimals)
+    };
+  });
+}
+
+/**
+ * Formats described assets for a CSV cell, e.g. "1500.25 USDM; 10 HOSKY".
+ */
+function formatAssets(assets) {
+  return (assets || []).map(asset => `${asset.amount} ${asset.ticker}`).join('; ');
+}
+
+module.exports = {
+  addAssets,
+  mergeAssets,
+  sumOutputAssets,
+  describeAssets,
+  formatAssets
+};
@@ -0,0 +1,134 @@
+// scripts/backfill-history.js
+const { execFileSync } = require('child_process');
+const path = require('path');
+const { parseCsv } = require('./csv');
+const historyService = require('./historyService');
+
+// Load project config
+const projectsConfig = require('../src/config/projects.json');
+
+const REPO_ROOT = path.join(__dirname, '..');
+const DATASETS = ['global_financials', 'proposals', 'milestones'];
+
+/**
+ * Runs a git command in the repository root and returns its output.
+ */
+function git(args) {
+  return execFileSync('git', args, {
+    cwd: REPO_ROOT,
+    encoding: 'utf8',
+    maxBuffer: 64 * 1024 * 1024
+  });
+}
+
+/**
+ * Lists the commits that touched a dataset file, newest first.
+ * @param {string} dataset - Dataset name (without extension)
+ * @returns {Array<{hash: string, date: string}>} - Commit hashes and their UTC commit dates
+ */
+function listDatasetCommits(dataset) {
+  const output = git(['log', '--format=%H %ct', '--', `data/${dataset}.csv`]);
+
+  return output.split('\n').filter(Boolean).map(line => {
+    const [hash, timestamp] = line.split(' ');
+    return {
+      hash,
+      date: new Date(Number(timestamp) * 1000).toISOString().split('T')[0]
+    };
+  });
+}
+
+/**
+ * Reads and parses a dataset file as it was at a given commit.
+ * @returns {{headers: Array<string>, rows: Array<Array<string>>}|null} - Parsed CSV, or null if the file is missing at that commit
+ */
+function readDatasetAtCommit(dataset, hash) {
+  let content;
+  try {
+    content = git(['show', `${hash}:data/${dataset}.csv`]);
+  } catch (error) {
+    console.error(`Could not read data/${dataset}.csv at ${hash}:`, error.message);
+    return null;
+  }
+
+  const [headers = [], ...rows] = parseCsv(content);
+  return {
+    headers,
+    rows: rows.filter(row => row.some(cell => cell !== ''))
+  };
+}
+
+/**
+ * Rebuilds the dated snapshots of a dataset from its git history.
+ * When several commits happened on the same day, the latest one wins.
+ */
+function collectSnapshots(dataset, since) {
+  const snapshotsByDate = new Map();
+
+  for (const commit of listDatasetCommits(dataset)) {
+    if (since && commit.date < since) continue;
+    if (snapshotsByDate.has(commit.date)) continue;
+
+    const parsed = readDatasetAtCommit(dataset, commit.hash);
+    if (!parsed || parsed.headers.length === 0) continue;
+
+    snapshotsByDate.set(commit.date, { snapshotDate: commit.date, ...parsed });
+  }
+
+  return [...snapshotsByDate.values()].reverse();
+}
+
+/**
+ * Parses command line flags.
+ */
+function parseArgs(argv) {
+  const options = { since: null, overwrite: false, retentionDays: undefined };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--since') {
+      options.since = argv[++i];
+    } else if (arg === '--overwrite') {
+      options.overwrite = true;
+    } else if (arg === '--retention-days') {
+      options.retentionDays = Number(argv[++i]);
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Walks the git history of data/ and merges every historical version of the
+ * tracked datasets into data/history/<dataset>.csv.
+ * Snapshots already in the history store are kept unless --overwrite is given.
+ */
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const retentionDays = options.retentionDays ?? projectsConfig.globalSettings?.history?.retentionDays;
+
+  for (const dataset of DATASETS) {
+    const snapshots = collectSnapshots(dataset, options.since);
+    console.log(`Found ${snapshots.length} historical snapshots of ${dataset}`);
+    if (snapshots.length === 0) continue;
+
+    await historyService.mergeSnapshots(dataset, snapshots, {
+      overwrite: options.overwrite,
+      retentionDays
+    });
+  }
+
+  console.log('History backfill completed successfully');
+}
+
+// Execute main function
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Fatal error in backfill:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { collectSnapshots, main };
@@ -0,0 +1,97 @@
+const koiosClient = require('./koiosClient');
+const { isStakeAddress } = require('./walletAddresses');
+const { lovelaceToAda } = require('./ada');
+
+// Used when globalSettings.balances.providers is not configured
+const DEFAULT_PROVIDERS = [
+    { type: 'koios' }
+];
+
+/**
+ * Reads wallet balances from Koios: account_info for stake addresses
+ * (total balance of the account, including withdrawable rewards) and
+ * address_info for single payment addresses
+ */
+class KoiosBalanceProvider {
+    constructor(config) {
+        this.name = config.name || 'koios';
+    }
+
+    async fetchBalance(wallet) {
+        if (isStakeAddress(wallet)) {
+            const accounts = await koiosClient.post('account_info', { _stake_addresses: [wallet] });
+            return accounts?.[0] ? lovelaceToAda(accounts[0].total_balance) : null;
+        }
+
+        // Addresses that were never used are not returned at all, so their balance is unknown
+        const addresses = await koiosClient.post('address_info', { _addresses: [wallet] });
+        return addresses?.[0] ? lovelaceToAda(addresses[0].balance) : null;
+    }
+}
+
+const PROVIDER_TYPES = {
+    koios: KoiosBalanceProvider
+};
+
+/**
+ * Looks up wallet balances through the configured providers.
+ * Providers are configured in globalSettings.balances.providers and tried
+ * in order; a balance that no provider can deliver is reported as missing
+ * (null) instead of zero.
+ */
+class BalanceService {
+    constructor() {
+        this.providers = null;
+    }
+
+    /**
+     * Build the providers from their configuration
+     *
+     * @param {Array<Object>} [providerConfigs] - Provider configurations, in fallback order (defaults to Koios)
+     */
+    configure(providerConfigs) {
+        const configs = providerConfigs && providerConfigs.length > 0 ? providerConfigs : DEFAULT_PROVIDERS;
+
+        this.providers = configs
+            .filter(config => config.enabled !== false)
+            .map(config => {
+                const ProviderType = PROVIDER_TYPES[config.type];
+                if (!ProviderType) {
+                    throw new Error(`Unknown balance provider type: ${config.type}`);
+                }
+                return new ProviderType(config);
+            });
+    }
+
+    /**
+     * Fetch the ADA balance of a wallet from the first provider that answers
+     *
+     * @param {string} wallet - Payment or stake address (bech32)
+     * @returns {Promise<{balance: number|null, provider: string|null}>} - Balance in ADA, or null when unavailable
+     */
+    async fetchBalance(wallet) {
+        if (!this.providers) this.configure();
+
+        if (!wallet) {
+            console.log('Wallet address not provided');
+            return { balance: null, provider: null };
+        }
+
+        for (const provider of this.providers) {
+            try {
+                const balance = await provider.fetchBalance(wallet);
+                if (Number.isFinite(balance)) {
+                    return { balance, provider: provider.name };
+                }
+                console.error(`Balance provider ${provider.name} returned no balance for ${wallet}`);
+            } catch (error) {
+                console.error(`Balance provider ${provider.name} failed for ${wallet}:`, error.message);
+            }
+        }
+
+        console.error(`No balance provider could deliver the balance of ${wallet}`);
+        return { balance: null, provider: null };
+    }
+}
+
+module.exports = new BalanceService();
@@ -0,0 +1,177 @@
+// scripts/catalystApi.js
+const { createClient } = require('@supabase/supabase-js');
+const axios = require('axios');
+
+const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL2;
+const supabaseKey = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY2;
+
+let supabase = null;
+
+/**
+ * Returns the Supabase client, created on first use so that commands which
+ * never query Supabase do not need its credentials.
+ */
+function getSupabase() {
+  if (!supabase) {
+    supabase = createClient(supabaseUrl, supabaseKey);
+  }
+  return supabase;
+}
+
+/**
+ * Retrieves proposal details.
+ */
+async function getProposalDetails(projectId) {
+  console.log(`Getting proposal details for project ${projectId}`);
+
+  const { data, error } = await getSupabase()
+    .from('proposals')
+    .select(`
+      id,
+      title,
+      budget,
+      milestones_qty,
+      funds_distributed,
+      project_id
+    `)
+    .eq('project_id', projectId)
+    .single();
+
+  if (error) {
+    console.error(`Error fetching proposal details for project ${projectId}:`, error);
+    return null;
+  }
+
+  return data;
+}
+
+/**
+ * Retrieves the proposal ID from Supabase.
+ */
+async function getProposalId(projectId) {
+  console.log(`Getting proposal ID for project ${projectId}`);
+
+  const { data, error } = await getSupabase()
+    .from('proposals')
+    .select('id')
+    .eq('project_id', projectId)
+    .single();
+
+  if (error) {
+    console.error('Error fetching proposal ID:', error);
+    throw error;
+  }
+
+  console.log(`Found proposal ID ${data?.id} for project ${projectId}`);
+  return data?.id;
+}
+
+/**
+ * Fetches milestone data using Supabase.
+ */
+async function fetchMilestoneData(projectId, milestone) {
+  const proposalId = await getProposalId(projectId);
+  console.log(`Fetching milestone data for proposal ${proposalId}, milestone ${milestone}`);
+
+  const { data, error } = await getSupabase()
+    .from('soms')
+    .select(`
+      month,
+      cost,
+      completion,
+      som_reviews!inner(
+        outputs_approves,
+        success_criteria_approves,
+        evidence_approves,
+        current
+      ),
+      poas!inner(
+        poas_reviews!inner(
+          content_approved,
+          current
+        ),
+        signoffs(created_at)
+      )
+    `)
+    .eq('proposal_id', proposalId)
+    .eq('milestone', milestone)
+    .eq('som_reviews.current', true)
+    .eq('poas.poas_reviews.current', true)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    console.error('Error fetching milestone data:', error);
+    throw error;
+  }
+
+  if (data?.length && data[0].poas?.length > 1) {
+    const sortedPoas = [...data[0].poas].sort((a, b) => {
+      const dateA = a.signoffs?.[0]?.created_at || '0';
+      const dateB = b.signoffs?.[0]?.created_at || '0';
+      return dateB.localeCompare(dateA);
+    });
+    data[0].poas = [sortedPoas[0]];
+  }
+
+  console.log('Raw milestone data:', JSON.stringify(data, null, 2));
+  return data;
+}
+
+/**
+ * Fetches snapshots from Supabase.
+ */
+async function fetchSnapshotData(proposalId) {
+  console.log(`Fetching snapshot data for proposal ${proposalId}`);
+
+  try {
+    const response = await axios({
+      method: 'POST',
+      url: `${supabaseUrl}/rest/v1/rpc/getproposalsnapshot`,
+      headers: {
+        'apikey': supabaseKey,
+        'Authorization': `Bearer ${supabaseKey}`,
+        'Content-Type': 'application/json',
+        'Content-Profile': 'public',
+        'x-client-info': 'supabase-js/2.2.3'
+      },
+      data: { _project_id: proposalId }
+    });
+
+    return response.data || [];
+  } catch (error) {
+    console.error(`Error fetching snapshot data for proposal ${proposalId}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Retrieves the planned delivery month of each milestone of a proposal.
+ *
+ * @param {number} proposalId - Proposal ID from getProposalDetails
+ * @returns {Promise<Object<number, number>>} - Month by milestone number
+ */
+async function fetchMilestoneMonths(proposalId) {
+  const { data, error } = await getSupabase()
+    .from('soms')
+    .select('milestone, month')
+    .eq('proposal_id', proposalId);
+
+  if (error) {
+    console.error(`Error fetching milestone months for proposal ${proposalId}:`, error);
+    return {};
+  }
+
+  return (data || []).reduce((months, som) => {
+    months[som.milestone] = Math.max(months[som.milestone] || 0, som.month || 0);
+    return months;
+  }, {});
+}
+
+module.exports = {
+  getProposalDetails,
+  getProposalId,
+  fetchMilestoneData,
+  fetchMilestoneMonths,
+  fetchSnapshotData
+};
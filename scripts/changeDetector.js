@@ -0,0 +1,157 @@
+// scripts/changeDetector.js
+const { formatAssets } = require('./assets');
+
+// Milestone review flags and how their approval is described in notifications
+const MILESTONE_FLAGS = [
+  { key: 'outputs_approved', label: 'outputs' },
+  { key: 'success_criteria_approved', label: 'success criteria' },
+  { key: 'evidence_approved', label: 'evidence' },
+  { key: 'poa_content_approved', label: 'PoA content' }
+];
+
+/**
+ * Formats an ADA amount with thousands separators.
+ */
+function formatAda(amount) {
+  return `${Number(amount || 0).toLocaleString('en-US', { maximumFractionDigits: 2 })} ADA`;
+}
+
+/**
+ * Shortens a transaction hash for display.
+ */
+function shortHash(txHash) {
+  return `${String(txHash).slice(0, 4)}…`;
+}
+
+/**
+ * Loads the datasets of the previous run before they are overwritten, as
+ * typed records (see datasets.js). Datasets that did not exist yet are
+ * returned as null so that a first run does not report every row as new.
+ * @param {Object} csvService - The CSV service used to read data files
+ * @returns {Promise<Object>} - Previous records per dataset
+ */
+async function loadPreviousData(csvService) {
+  const [milestones, transactions, outgoingTransactions, proposals, globalFinancials] = await Promise.all([
+    csvService.readRecords('milestones'),
+    csvService.readRecords('transactions'),
+    csvService.readRecords('outgoing_transactions'),
+    csvService.readRecords('proposals'),
+    csvService.readRecords('global_financials')
+  ]);
+
+  const recordsOrNull = dataset => (dataset.headers.length > 0 ? dataset.records : null);
+
+  return {
+    milestones: recordsOrNull(milestones),
+    transactions: recordsOrNull(transactions),
+    outgoingTransactions: recordsOrNull(outgoingTransactions),
+    proposals: recordsOrNull(proposals),
+    globalFinancials: recordsOrNull(globalFinancials)
+  };
+}
+
+/**
+ * Describes milestone changes of one project.
+ */
+function diffMilestones(projectId, previousMilestones, currentMilestones) {
+  const changes = [];
+  const previousByNumber = new Map(
+    previousMilestones.map(milestone => [milestone.milestone, milestone])
+  );
+
+  for (const milestone of currentMilestones) {
+    const label = `Project ${projectId} milestone ${milestone.milestone}`;
+    const previous = previousByNumber.get(Number(milestone.milestone));
+
+    if (!previous) {
+      changes.push(`${label}: now tracked`);
+      continue;
+    }
+
+    for (const flag of MILESTONE_FLAGS) {
+      const wasApproved = previous[flag.key] === true;
+      const isApproved = Boolean(milestone[flag.key]);
+      if (!wasApproved && isApproved) changes.push(`${label}: ${flag.label} approved`);
+      if (wasApproved && !isApproved) changes.push(`${label}: ${flag.label} approval withdrawn`);
+    }
+
+    if (Number(milestone.som_signoff_count) > (previous.som_signoff_count || 0)) {
+      changes.push(`${label}: SoM signed off`);
+    }
+    if (Number(milestone.poa_signoff_count) > (previous.poa_signoff_count || 0)) {
+      changes.push(`${label}: PoA signed off`);
+    }
+    if (Number(milestone.completion) !== (previous.completion || 0)) {
+      changes.push(`${label}: completion ${previous.completion || 0}% → ${milestone.completion}%`);
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Compares the processed projects of this run with the previous CSV data
+ * and returns a human readable description of everything that moved.
+ * Projects that failed to process in this run are not reported as removed.
+ *
+ * @param {Object} previous - Previous records (from loadPreviousData)
+ * @param {Array<Object>} processedProjects - Projects processed in this run
+ * @returns {Array<string>} - One line per change
+ */
+function detectChanges(previous, processedProjects) {
+  const changes = [];
+  const knownTxHashes = previous.transactions &&
+    new Set(previous.transactions.map(tx => tx['Transaction Hash']));
+  const knownOutgoingHashes = previous.outgoingTransactions &&
+    new Set(previous.outgoingTransactions.map(tx => tx['Transaction Hash']));
+
+  for (const project of processedProjects) {
+    const { projectId, proposal } = project;
+    const previousProposal = (previous.proposals || []).find(p => p['Project ID'] === String(projectId));
+
+    if (!previousProposal) {
+      changes.push(`Project ${projectId} (${proposal.title}): now tracked`);
+      continue;
+    }
+
+    if ((previousProposal['Funds Distributed'] || 0) !== Number(proposal.funds_distributed || 0)) {
+      changes.push(
+        `Project ${projectId}: funds distributed ${formatAda(previousProposal['Funds Distributed'])} → ` +
+        formatAda(proposal.funds_distributed)
+      );
+    }
+
+    if (previous.milestones) {
+      const previousMilestones = previous.milestones.filter(m => m.project_id === String(projectId));
+      changes.push(...diffMilestones(projectId, previousMilestones, project.milestones));
+    }
+
+    for (const tx of knownTxHashes ? project.transactions : []) {
+      if (!knownTxHashes.has(tx.txHash)) {
+        const assets = formatAssets(tx.assets);
+        changes.push(
+          `New ${formatAda(tx.amount)}${assets ? ` + ${assets}` : ''} payout received for project ${projectId} ` +
+          `(tx ${shortHash(tx.txHash)})`
+        );
+      }
+    }
+
+    for (const tx of knownOutgoingHashes ? project.outgoingTransactions : []) {
+      if (!knownOutgoingHashes.has(tx.txHash)) {
+        const assets = formatAssets(tx.assetsSent);
+        changes.push(
+          `New ${formatAda(tx.amountSent)}${assets ? ` + ${assets}` : ''} payment sent from project ${projectId} ` +
+          `(tx ${shortHash(tx.txHash)})`
+        );
+      }
+    }
+  }
+
+  return changes;
+}
+
+module.exports = {
+  loadPreviousData,
+  detectChanges,
+  formatAda
+};
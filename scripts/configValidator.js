@@ -0,0 +1,310 @@
+// scripts/configValidator.js
+const schema = require('../src/config/projects.schema.json');
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_GENERATORS = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+const ADDRESS_PREFIXES = ['addr', 'addr_test', 'stake', 'stake_test'];
+
+// Settings each alert rule type needs to be evaluated
+const ALERT_RULE_SETTINGS = {
+  runway: ['minMonths'],
+  milestone_overdue: ['days'],
+  over_budget: [],
+  balance_drop: ['percent']
+};
+
+/**
+ * Computes the bech32 checksum polymod over a list of 5-bit values.
+ */
+function bech32Polymod(values) {
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    BECH32_GENERATORS.forEach((generator, i) => {
+      if ((top >> i) & 1) checksum ^= generator;
+    });
+  }
+  return checksum;
+}
+
+/**
+ * Decodes a bech32 string and verifies its checksum.
+ * Cardano addresses exceed the 90 character limit of BIP-173, so no length limit is applied.
+ *
+ * @param {string} value - Bech32 string
+ * @returns {{prefix: string, words: Array<number>}|null} - Prefix and data words, or null if invalid
+ */
+function decodeBech32(value) {
+  if (typeof value !== 'string' || (value !== value.toLowerCase() && value !== value.toUpperCase())) {
+    return null;
+  }
+
+  const lower = value.toLowerCase();
+  const separator = lower.lastIndexOf('1');
+  if (separator < 1 || lower.length - separator - 1 < 6) return null;
+
+  const prefix = lower.slice(0, separator);
+  const words = [...lower.slice(separator + 1)].map(char => BECH32_CHARSET.indexOf(char));
+  if (words.includes(-1)) return null;
+
+  const expandedPrefix = [
+    ...[...prefix].map(char => char.charCodeAt(0) >> 5),
+    0,
+    ...[...prefix].map(char => char.charCodeAt(0) & 31)
+  ];
+  if (bech32Polymod([...expandedPrefix, ...words]) !== 1) return null;
+
+  return { prefix, words: words.slice(0, -6) };
+}
+
+/**
+ * Checks whether a value is a valid Cardano payment or stake address.
+ */
+function isValidAddress(value) {
+  const decoded = decodeBech32(value);
+  return Boolean(decoded && ADDRESS_PREFIXES.includes(decoded.prefix));
+}
+
+/**
+ * Checks whether a value is a real calendar date in YYYY-MM-DD form.
+ */
+function isValidDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Checks whether a value compiles as a regular expression.
+ */
+function isValidRegex(value) {
+  try {
+    new RegExp(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const FORMATS = {
+  'cardano-address': { check: isValidAddress, message: 'must be a valid bech32 Cardano address (addr1... or stake1...)' },
+  date: { check: isValidDate, message: 'must be a valid date in YYYY-MM-DD format' },
+  regex: { check: isValidRegex, message: 'must be a valid regular expression' }
+};
+
+/**
+ * Returns the JSON type name of a value, distinguishing integers, arrays and null.
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Resolves a local $ref such as "#/definitions/project".
+ */
+function resolveRef(ref) {
+  return ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], schema);
+}
+
+/**
+ * Validates a value against the subset of JSON Schema used by
+ * projects.schema.json, collecting every error with its JSON path.
+ *
+ * @param {any} value - Value to validate
+ * @param {Object} node - Schema node
+ * @param {string} path - JSON path of the value, e.g. $.projects[0].wallet
+ * @param {Array<{path: string, message: string}>} errors - Collected errors
+ */
+function validateNode(value, node, path, errors) {
+  if (node.$ref) {
+    validateNode(value, resolveRef(node.$ref), path, errors);
+  }
+  for (const subschema of node.allOf || []) {
+    validateNode(value, subschema, path, errors);
+  }
+
+  if (node.enum && !node.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${node.enum.map(option => JSON.stringify(option)).join(', ')}` });
+    return;
+  }
+
+  if (node.type) {
+    const types = Array.isArray(node.type) ? node.type : [node.type];
+    const actualType = typeOf(value);
+    const matches = types.includes(actualType) || (actualType === 'integer' && types.includes('number'));
+    if (!matches) {
+      errors.push({ path, message: `must be ${types.join(' or ')}, got ${actualType}` });
+      return;
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (node.minLength && value.length < node.minLength) {
+      errors.push({ path, message: 'must not be empty' });
+    }
+    if (node.pattern && !new RegExp(node.pattern).test(value)) {
+      errors.push({ path, message: `must match ${node.pattern}` });
+    }
+    if (node.format && FORMATS[node.format] && !FORMATS[node.format].check(value)) {
+      errors.push({ path, message: FORMATS[node.format].message });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (node.minimum !== undefined && value < node.minimum) {
+      errors.push({ path, message: `must be at least ${node.minimum}` });
+    }
+    if (node.maximum !== undefined && value > node.maximum) {
+      errors.push({ path, message: `must be at most ${node.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value) && node.items) {
+    value.forEach((item, index) => validateNode(item, node.items, `${path}[${index}]`, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of node.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const propertySchema = node.properties?.[key];
+      if (propertySchema) {
+        validateNode(propertyValue, propertySchema, `${path}.${key}`, errors);
+      } else if (node.additionalProperties === false) {
+        errors.push({ path: `${path}.${key}`, message: 'is not a known setting' });
+      }
+    }
+
+    if (node.oneOf) {
+      const matched = node.oneOf.filter(subschema => {
+        const subErrors = [];
+        validateNode(value, subschema, path, subErrors);
+        return subErrors.length === 0;
+      });
+      if (matched.length !== 1) {
+        errors.push({
+          path,
+          message: `must have exactly one of ${node.oneOf.map(subschema => subschema.title).join(', ')}` +
+            (matched.length > 1 ? `, not ${matched.map(subschema => subschema.title).join(' and ')}` : '')
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Checks rules the schema cannot express: unique project IDs, date ranges
+ * that end after they start, collaborator allocations within the budget
+ * and the settings each alert rule type needs.
+ */
+function validateSemantics(config, options, errors) {
+  const seenProjectIds = new Map();
+
+  (config.projects || []).forEach((project, index) => {
+    const path = `$.projects[${index}]`;
+
+    if (seenProjectIds.has(project.project_id)) {
+      errors.push({
+        path: `${path}.project_id`,
+        message: `duplicates $.projects[${seenProjectIds.get(project.project_id)}].project_id`
+      });
+    } else {
+      seenProjectIds.set(project.project_id, index);
+    }
+
+    const { start, end } = project.dateRanges || {};
+    if (isValidDate(start) && isValidDate(end) && start > end) {
+      errors.push({ path: `${path}.dateRanges`, message: `start ${start} is after end ${end}` });
+    }
+
+    const budget = options.budgets?.[project.project_id] ?? project.budget;
+    errors.push(...validateCollaboratorBudget(project, budget, path));
+  });
+
+  (config.globalSettings?.alerts?.rules || []).forEach((rule, index) => {
+    for (const setting of ALERT_RULE_SETTINGS[rule.type] || []) {
+      if (rule[setting] === undefined) {
+        errors.push({ path: `$.globalSettings.alerts.rules[${index}].${setting}`, message: `is required for ${rule.type} rules` });
+      }
+    }
+  });
+}
+
+/**
+ * Checks that a project's collaborator allocations do not exceed its budget.
+ * Without a known budget, only the allocation shares can be checked.
+ *
+ * @param {Object} project - Project entry from projects.json
+ * @param {number} [budget] - Project budget in ADA, e.g. from the proposal
+ * @param {string} [path] - JSON path of the project
+ * @returns {Array<{path: string, message: string}>} - Errors found
+ */
+function validateCollaboratorBudget(project, budget, path = '$') {
+  const collaborators = Array.isArray(project.collaborators) ? project.collaborators : [];
+  const totalShare = collaborators.reduce((sum, collaborator) =>
+    sum + (typeof collaborator.allocation === 'number' ? collaborator.allocation : 0), 0);
+  const totalAmount = collaborators.reduce((sum, collaborator) =>
+    sum + (typeof collaborator.amount === 'number' ? collaborator.amount : 0), 0);
+
+  if (typeof budget === 'number') {
+    const allocated = totalAmount + totalShare * budget;
+    return allocated > budget
+      ? [{ path: `${path}.collaborators`, message: `allocate ${allocated} ADA, more than the budget of ${budget} ADA` }]
+      : [];
+  }
+
+  return totalShare > 1
+    ? [{ path: `${path}.collaborators`, message: `allocations add up to ${Math.round(totalShare * 100)}% of the budget` }]
+    : [];
+}
+
+/**
+ * Validates a projects.json configuration.
+ *
+ * @param {Object} config - Parsed configuration
+ * @param {Object} [options]
+ * @param {Object<string, number>} [options.budgets] - Known budgets by project ID, taking precedence over a project's own budget
+ * @returns {Array<{path: string, message: string}>} - Every error found, empty if valid
+ */
+function validateConfig(config, options = {}) {
+  const errors = [];
+  validateNode(config, schema, '$', errors);
+  if (typeOf(config) === 'object') {
+    validateSemantics(config, options, errors);
+  }
+  return errors;
+}
+
+/**
+ * Formats validation errors one per line.
+ */
+function formatErrors(errors) {
+  return errors.map(error => `  ${error.path} ${error.message}`).join('\n');
+}
+
+/**
+ * Validates a configuration and throws an error listing every problem.
+ */
+function assertValidConfig(config, options = {}) {
+  const errors = validateConfig(config, options);
+  if (errors.length > 0) {
+    throw new Error(`Invalid projects.json (${errors.length} error${errors.length === 1 ? '' : 's'}):\n${formatErrors(errors)}`);
+  }
+}
+
+module.exports = {
+  decodeBech32,
+  isValidAddress,
+  validateConfig,
+  validateCollaboratorBudget,
+  assertValidConfig,
+  formatErrors
+};
@@ -0,0 +1,91 @@
+// scripts/csv.js
+// RFC 4180 reading and writing, shared by the scripts and the Next.js API
+
+/**
+ * Parses CSV content into rows of strings. Quoted fields may contain
+ * commas, escaped quotes ("") and line breaks; records may end in LF, CRLF
+ * or CR, and a leading byte order mark is ignored. A line break at the end
+ * of the content does not produce an extra empty row.
+ *
+ * @param {string} content - CSV formatted string
+ * @returns {Array<Array<string>>} - 2D array of values
+ */
+function parseCsv(content) {
+  const text = content.charCodeAt(0) === 0xfeff ? content.slice(1) : content;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field in CSV row ${rows.length + 1}`);
+  }
+
+  // Flush the last row unless the content ended with a line break
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Formats a single value as a CSV field, quoting it when it contains a
+ * comma, quote or line break. Missing values become empty fields.
+ *
+ * @param {any} value - Value to format
+ * @returns {string} - CSV field
+ */
+function formatField(value) {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats rows as CSV content
+ *
+ * @param {Array<Array<any>>} rows - 2D array of values
+ * @param {Object} [options]
+ * @param {string} [options.lineEnding] - Record separator (default '\n'; RFC 4180 uses '\r\n')
+ * @returns {string} - CSV formatted string, without a trailing line break
+ */
+function stringifyCsv(rows, { lineEnding = '\n' } = {}) {
+  return rows.map(row => row.map(formatField).join(',')).join(lineEnding);
+}
+
+module.exports = {
+  parseCsv,
+  stringifyCsv,
+  formatField
+};
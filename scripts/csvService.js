@@ -1,5 +1,7 @@
 const fs = require('fs');
 const path = require('path');
+const { parseCsv, stringifyCsv } = require('./csv');
+const { readDataset } = require('./datasets');
 
 /**
  * Handles CSV file operations for storing project data in the repository.
@@ -31,31 +33,6 @@ class CsvService {
         }
     }
 
-    /**
-     * Convert array data to CSV format
-     * 
-     * @param {Array<Array<any>>} data - 2D array of values to convert to CSV
-     * @returns {string} - CSV formatted string
-     */
-    arrayToCsv(data) {
-        return data.map(row =>
-            row.map(cell => {
-                // Handle null or undefined values
-                if (cell === null || cell === undefined) {
-                    return '';
-                }
-
-                // Convert to string and escape quotes
-                const cellStr = String(cell);
-                const escaped = cellStr.includes(',') || cellStr.includes('"') || cellStr.includes('\n')
-                    ? `"${cellStr.replace(/"/g, '""')}"`
-                    : cellStr;
-
-                return escaped;
-            }).join(',')
-        ).join('\n');
-    }
-
     /**
      * Update a CSV file with new data
      * 
@@ -71,12 +48,7 @@ class CsvService {
             const filePath = path.join(this.dataDir, `${fileName}.csv`);
 
             // Prepare data (with headers if provided)
-            let csvData = '';
-            if (headers) {
-                csvData = this.arrayToCsv([headers, ...values]);
-            } else {
-                csvData = this.arrayToCsv(values);
-            }
+            const csvData = stringifyCsv(headers ? [headers, ...values] : values);
 
             // Write to file
             fs.writeFileSync(filePath, csvData);
@@ -108,9 +80,25 @@ class CsvService {
 
             // Read and parse CSV
             const content = fs.readFileSync(filePath, 'utf8');
-            const rows = content.split('\n').map(row => row.split(','));
+            return parseCsv(content);
+        } catch (error) {
+            console.error(`Error reading CSV file ${fileName}:`, error);
+            throw error;
+        }
+    }
 
-            return rows;
+    /**
+     * Read a dataset as objects keyed by header, with values converted to
+     * the column types declared in scripts/datasets.js
+     *
+     * @param {string} fileName - Name of the dataset (without extension), e.g. milestones
+     * @returns {Promise<{headers: Array<string>, records: Array<Object>}>} - Headers (empty if the file does not exist) and typed records
+     */
+    async readRecords(fileName) {
+        await this.initialize();
+
+        try {
+            return readDataset(this.dataDir, fileName);
         } catch (error) {
             console.error(`Error reading CSV file ${fileName}:`, error);
             throw error;
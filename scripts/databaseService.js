@@ -0,0 +1,367 @@
+const fs = require('fs');
+const path = require('path');
+
+const REPO_ROOT = path.join(__dirname, '..');
+const DEFAULT_DATABASE_PATH = 'data/catalyst.db';
+
+// Normalized schema: every table is keyed on project ID, milestone number or tx hash
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS sync_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    started_at TEXT NOT NULL,
+    finished_at TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('success', 'partial')),
+    projects_processed INTEGER NOT NULL,
+    projects_failed INTEGER NOT NULL,
+    failed_project_ids TEXT,
+    changes INTEGER NOT NULL,
+    alerts INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS projects (
+    project_id TEXT PRIMARY KEY,
+    proposal_id INTEGER,
+    title TEXT NOT NULL,
+    budget REAL NOT NULL,
+    funds_distributed REAL NOT NULL,
+    milestones_qty INTEGER,
+    wallet TEXT,
+    start_date TEXT,
+    end_date TEXT,
+    total_received REAL NOT NULL,
+    wallet_balance REAL,
+    milestones_link TEXT,
+    last_sync_run_id INTEGER REFERENCES sync_runs(id)
+);
+
+CREATE TABLE IF NOT EXISTS milestones (
+    project_id TEXT NOT NULL REFERENCES projects(project_id) ON DELETE CASCADE,
+    milestone INTEGER NOT NULL,
+    month INTEGER,
+    cost REAL,
+    completion REAL,
+    som_signoff_count INTEGER,
+    poa_signoff_count INTEGER,
+    outputs_approved INTEGER,
+    success_criteria_approved INTEGER,
+    evidence_approved INTEGER,
+    poa_content_approved INTEGER,
+    approved_date TEXT,
+    due_date TEXT,
+    status TEXT,
+    paid_amount REAL,
+    paid_tx_hash TEXT,
+    paid_date TEXT,
+    approved_unpaid INTEGER,
+    PRIMARY KEY (project_id, milestone)
+);
+
+CREATE TABLE IF NOT EXISTS transactions (
+    tx_hash TEXT NOT NULL,
+    project_id TEXT NOT NULL REFERENCES projects(project_id) ON DELETE CASCADE,
+    direction TEXT NOT NULL CHECK (direction IN ('incoming', 'outgoing')),
+    date TEXT NOT NULL,
+    amount REAL NOT NULL,
+    fee REAL,
+    assets TEXT,
+    recipients TEXT,
+    metadata TEXT,
+    PRIMARY KEY (tx_hash, project_id, direction)
+);
+
+CREATE TABLE IF NOT EXISTS collaborators (
+    project_id TEXT NOT NULL REFERENCES projects(project_id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    total_amount REAL,
+    allocation REAL,
+    paid_to_date REAL,
+    outstanding REAL,
+    expected_to_date REAL,
+    overdue REAL,
+    PRIMARY KEY (project_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS organizations (
+    name TEXT PRIMARY KEY,
+    wallet TEXT,
+    real_monthly_budget REAL,
+    max_monthly_budget REAL,
+    wallet_balance_ada REAL,
+    wallet_balance_usd REAL,
+    months_with_real_budget INTEGER,
+    months_with_max_budget INTEGER,
+    accumulated_rewards REAL,
+    withdrawn_rewards REAL,
+    last_sync_run_id INTEGER REFERENCES sync_runs(id)
+);
+
+CREATE INDEX IF NOT EXISTS transactions_project_date ON transactions (project_id, date);
+`;
+
+/**
+ * Builds an upsert statement for a table: rows conflicting on the key
+ * columns are updated in place instead of inserted again
+ */
+function upsertSql(table, columns, keyColumns) {
+    const updates = columns
+        .filter(column => !keyColumns.includes(column))
+        .map(column => `${column} = excluded.${column}`);
+
+    return `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')}) ` +
+        `ON CONFLICT (${keyColumns.join(', ')}) DO UPDATE SET ${updates.join(', ')}`;
+}
+
+/**
+ * Converts a value to one SQLite can bind: booleans become 0/1,
+ * missing values NULL
+ */
+function toSqlValue(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value;
+}
+
+/**
+ * Upserts a record whose keys are the column names
+ */
+function upsert(db, table, keyColumns, record) {
+    const columns = Object.keys(record);
+    db.prepare(upsertSql(table, columns, keyColumns)).run(...columns.map(column => toSqlValue(record[column])));
+}
+
+/**
+ * Maintains a local SQLite database with one normalized row per project,
+ * milestone, transaction, collaborator and organization, plus a row per
+ * sync run. Rows are upserted, so projects that fail in a run keep their
+ * last known state; the milestones, transactions and collaborators of a
+ * processed project are replaced by those of the run. Uses the SQLite module built into Node.js 22.5 and later.
+ */
+class DatabaseService {
+    constructor() {
+        this.path = path.join(REPO_ROOT, DEFAULT_DATABASE_PATH);
+        this.enabled = true;
+        this.db = null;
+    }
+
+    /**
+     * Apply the database settings
+     *
+     * @param {Object} [settings] - globalSettings.database from projects.json
+     * @param {boolean} [settings.enabled] - Whether the sync maintains the database (default true)
+     * @param {string} [settings.path] - Database file, relative to the repository root
+     */
+    configure(settings = {}) {
+        const databasePath = settings.path || DEFAULT_DATABASE_PATH;
+        this.path = path.isAbsolute(databasePath) ? databasePath : path.join(REPO_ROOT, databasePath);
+        this.enabled = settings.enabled !== false;
+    }
+
+    /**
+     * Open the database, creating the file and schema when needed
+     *
+     * @param {Object} [options]
+     * @param {boolean} [options.readOnly] - Open an existing database without write access
+     * @returns {Object} - node:sqlite DatabaseSync handle
+     */
+    open(options = {}) {
+        if (this.db) return this.db;
+
+        let DatabaseSync;
+        try {
+            ({ DatabaseSync } = require('node:sqlite'));
+        } catch {
+            throw new Error(`The SQLite database needs Node.js 22.5 or later (running ${process.version})`);
+        }
+
+        if (options.readOnly) {
+            if (!fs.existsSync(this.path)) {
+                throw new Error(`No database at ${this.path}, run the sync first`);
+            }
+            this.db = new DatabaseSync(this.path, { readOnly: true });
+            return this.db;
+        }
+
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+        this.db = new DatabaseSync(this.path);
+        this.db.exec('PRAGMA foreign_keys = ON');
+        this.db.exec(SCHEMA);
+        return this.db;
+    }
+
+    /**
+     * Run a read query and return its rows as objects
+     *
+     * @param {string} sql - SQL statement
+     * @param {Array<any>} [params] - Positional parameters
+     * @returns {Array<Object>} - Result rows
+     */
+    query(sql, params = []) {
+        return this.open({ readOnly: true }).prepare(sql).all(...params);
+    }
+
+    /**
+     * Record a sync run and upsert everything it processed, in one transaction
+     *
+     * @param {Object} run
+     * @param {string} run.startedAt - ISO timestamp the run started at
+     * @param {Array<Object>} run.projects - Processed projects (from processProject)
+     * @param {Array<{projectId: string}>} run.failedProjects - Projects that failed
+     * @param {Array<Object>} run.organizations - Organization financials of the run
+     * @param {number} run.changes - Number of changes detected
+     * @param {number} run.alerts - Number of alerts raised
+     * @returns {number} - ID of the recorded sync run
+     */
+    recordRun(run) {
+        const db = this.open();
+
+        db.exec('BEGIN');
+        try {
+            const { lastInsertRowid: runId } = db.prepare(
+                'INSERT INTO sync_runs (started_at, finished_at, status, projects_processed, projects_failed, ' +
+                'failed_project_ids, changes, alerts) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
+            ).run(
+                run.startedAt,
+                new Date().toISOString(),
+                run.failedProjects.length > 0 ? 'partial' : 'success',
+                run.projects.length,
+                run.failedProjects.length,
+                run.failedProjects.map(failure => failure.projectId).join(', '),
+                run.changes,
+                run.alerts
+            );
+
+            for (const project of run.projects) {
+                this.upsertProject(db, project, runId);
+            }
+            for (const organization of run.organizations) {
+                this.upsertOrganization(db, organization, runId);
+            }
+
+            db.exec('COMMIT');
+            console.log(`Sync run ${runId} recorded in ${this.path}`);
+            return Number(runId);
+        } catch (error) {
+            db.exec('ROLLBACK');
+            throw error;
+        }
+    }
+
+    /**
+     * Upsert a project and replace its milestones, transactions and collaborators
+     */
+    upsertProject(db, project, runId) {
+        const { projectId, proposal, financials } = project;
+
+        upsert(db, 'projects', ['project_id'], {
+            project_id: projectId,
+            proposal_id: proposal.id,
+            title: proposal.title,
+            budget: proposal.budget || 0,
+            funds_distributed: proposal.funds_distributed || 0,
+            milestones_qty: proposal.milestones_qty,
+            wallet: project.wallet,
+            start_date: financials.startDate,
+            end_date: financials.endDate,
+            total_received: project.transactions.reduce((sum, tx) => sum + tx.amount, 0),
+            wallet_balance: project.walletBalance,
+            milestones_link: project.milestones[0]?.milestones_link,
+            last_sync_run_id: runId
+        });
+
+        // Rows the run no longer has, e.g. a tx that stopped counting as a payout, would otherwise stay forever
+        for (const table of ['milestones', 'transactions', 'collaborators']) {
+            db.prepare(`DELETE FROM ${table} WHERE project_id = ?`).run(projectId);
+        }
+
+        for (const milestone of project.milestones) {
+            upsert(db, 'milestones', ['project_id', 'milestone'], {
+                project_id: projectId,
+                milestone: milestone.milestone,
+                month: milestone.month,
+                cost: milestone.cost,
+                completion: milestone.completion,
+                som_signoff_count: milestone.som_signoff_count,
+                poa_signoff_count: milestone.poa_signoff_count,
+                outputs_approved: milestone.outputs_approved,
+                success_criteria_approved: milestone.success_criteria_approved,
+                evidence_approved: milestone.evidence_approved,
+                poa_content_approved: milestone.poa_content_approved,
+                approved_date: milestone.approved_date,
+                due_date: milestone.due_date,
+                status: milestone.status,
+                paid_amount: milestone.paid_amount,
+                paid_tx_hash: milestone.paid_tx_hash,
+                paid_date: milestone.paid_date,
+                approved_unpaid: milestone.approved_unpaid
+            });
+        }
+
+        for (const tx of project.transactions) {
+            upsert(db, 'transactions', ['tx_hash', 'project_id', 'direction'], {
+                tx_hash: tx.txHash,
+                project_id: projectId,
+                direction: 'incoming',
+                date: tx.date,
+                amount: tx.amount,
+                assets: JSON.stringify(tx.assets || []),
+                metadata: tx.metadata
+            });
+        }
+
+        for (const tx of project.outgoingTransactions) {
+            upsert(db, 'transactions', ['tx_hash', 'project_id', 'direction'], {
+                tx_hash: tx.txHash,
+                project_id: projectId,
+                direction: 'outgoing',
+                date: tx.date,
+                amount: tx.amountSent,
+                fee: tx.fee,
+                assets: JSON.stringify(tx.assetsSent || []),
+                recipients: JSON.stringify(tx.recipients),
+                metadata: tx.metadata
+            });
+        }
+
+        for (const collaborator of financials.collaboratorAllocations) {
+            upsert(db, 'collaborators', ['project_id', 'name'], {
+                project_id: projectId,
+                name: collaborator.name,
+                total_amount: collaborator.totalAmount,
+                allocation: collaborator.allocation,
+                paid_to_date: collaborator.paidToDate,
+                outstanding: collaborator.outstanding,
+                expected_to_date: collaborator.expectedToDate,
+                overdue: collaborator.overdue
+            });
+        }
+    }
+
+    /**
+     * Upsert the financials of an organization
+     */
+    upsertOrganization(db, organization, runId) {
+        upsert(db, 'organizations', ['name'], {
+            name: organization.name,
+            wallet: organization.wallet,
+            real_monthly_budget: organization.realMonthlyBudget,
+            max_monthly_budget: organization.maxMonthlyBudget,
+            wallet_balance_ada: organization.walletBalanceAda,
+            wallet_balance_usd: organization.walletBalanceUsd,
+            months_with_real_budget: organization.monthsWithRealBudget,
+            months_with_max_budget: organization.monthsWithMaxBudget,
+            accumulated_rewards: organization.accumulatedRewards,
+            withdrawn_rewards: organization.withdrawnRewards,
+            last_sync_run_id: runId
+        });
+    }
+
+    /**
+     * Close the database
+     */
+    close() {
+        this.db?.close();
+        this.db = null;
+    }
+}
+
+module.exports = new DatabaseService();
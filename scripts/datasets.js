@@ -0,0 +1,279 @@
+// scripts/datasets.js
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('./csv');
+
+/**
+ * @typedef {'string'|'number'|'boolean'|'date'} ColumnType
+ * @typedef {{name: string, type: ColumnType, perCurrency?: boolean}} Column
+ */
+
+// Stands for the currency code in the names of per-currency columns
+const FIAT_PLACEHOLDER = '{currency}';
+
+/**
+ * Column schemas of the datasets in data/, in the order they are written.
+ * Columns marked perCurrency are repeated for every configured fiat
+ * currency, with {currency} replaced by its code.
+ *
+ * @type {Object<string, Array<Column>>}
+ */
+const DATASET_SCHEMAS = {
+  proposals: [
+    { name: 'Project ID', type: 'string' },
+    { name: 'Title', type: 'string' },
+    { name: 'Budget', type: 'number' },
+    { name: 'Funds Distributed', type: 'number' },
+    { name: 'Remaining Funds', type: 'number' },
+    { name: 'Milestones Quantity', type: 'number' },
+    { name: 'Milestone URL', type: 'string' }
+  ],
+  milestones: [
+    { name: 'title', type: 'string' },
+    { name: 'project_id', type: 'string' },
+    { name: 'milestone', type: 'number' },
+    { name: 'month', type: 'number' },
+    { name: 'cost', type: 'number' },
+    { name: 'completion', type: 'number' },
+    { name: 'budget', type: 'number' },
+    { name: 'funds_distributed', type: 'number' },
+    { name: 'milestones_qty', type: 'number' },
+    { name: 'som_signoff_count', type: 'number' },
+    { name: 'poa_signoff_count', type: 'number' },
+    { name: 'outputs_approved', type: 'boolean' },
+    { name: 'success_criteria_approved', type: 'boolean' },
+    { name: 'evidence_approved', type: 'boolean' },
+    { name: 'poa_content_approved', type: 'boolean' },
+    { name: 'paid_amount', type: 'number' },
+    { name: 'paid_tx_hash', type: 'string' },
+    { name: 'paid_date', type: 'date' },
+    { name: 'approved_unpaid', type: 'boolean' },
+    { name: 'due_date', type: 'date' },
+    { name: 'status', type: 'string' }
+  ],
+  transactions: [
+    { name: 'Project ID', type: 'string' },
+    { name: 'Project Title', type: 'string' },
+    { name: 'Transaction Hash', type: 'string' },
+    { name: 'Date', type: 'date' },
+    { name: 'Amount', type: 'number' },
+    { name: 'Assets', type: 'string' },
+    { name: 'ADA Price ({currency})', type: 'number', perCurrency: true },
+    { name: 'Value ({currency})', type: 'number', perCurrency: true },
+    { name: 'Metadata', type: 'string' }
+  ],
+  outgoing_transactions: [
+    { name: 'Project ID', type: 'string' },
+    { name: 'Project Title', type: 'string' },
+    { name: 'Transaction Hash', type: 'string' },
+    { name: 'Date', type: 'date' },
+    { name: 'Recipients', type: 'string' },
+    { name: 'Amount Sent', type: 'number' },
+    { name: 'Assets Sent', type: 'string' },
+    { name: 'Fee', type: 'number' },
+    { name: 'Change', type: 'number' },
+    { name: 'Running Balance', type: 'number' },
+    { name: 'Running Asset Balance', type: 'string' },
+    { name: 'Metadata', type: 'string' }
+  ],
+  global_financials: [
+    { name: 'Projects', type: 'string' },
+    { name: 'Organization', type: 'string' },
+    { name: 'Total Budget All Projects', type: 'number' },
+    { name: 'Real Monthly Budget', type: 'number' },
+    { name: 'Months with Real Budget', type: 'number' },
+    { name: 'Max Monthly Budget', type: 'number' },
+    { name: 'Months with Max Budget', type: 'number' },
+    { name: 'Total Received', type: 'number' },
+    { name: 'Total Received Assets', type: 'string' },
+    { name: 'Total Received ({currency})', type: 'number', perCurrency: true },
+    { name: 'Remaining Funds', type: 'number' },
+    { name: 'Wallet Balance (ADA)', type: 'number' },
+    { name: 'Wallet Balance (USD)', type: 'number' },
+    { name: 'Wallet Assets', type: 'string' },
+    { name: 'Accumulated Rewards (ADA)', type: 'number' },
+    { name: 'Withdrawn Rewards (ADA)', type: 'number' }
+  ],
+  staking_rewards: [
+    { name: 'Organization', type: 'string' },
+    { name: 'Stake Address', type: 'string' },
+    { name: 'Type', type: 'string' },
+    { name: 'Epoch', type: 'number' },
+    { name: 'Date', type: 'date' },
+    { name: 'Amount (ADA)', type: 'number' },
+    { name: 'Pool ID', type: 'string' },
+    { name: 'Transaction Hash', type: 'string' }
+  ],
+  collaborators: [
+    { name: 'Project ID', type: 'string' },
+    { name: 'Project Title', type: 'string' },
+    { name: 'Total Budget', type: 'number' },
+    { name: 'Collaborator Name', type: 'string' },
+    { name: 'Funds Allocated to Collaborator', type: 'number' },
+    { name: 'Funds Left to Organization', type: 'number' },
+    { name: 'Paid To Date', type: 'number' },
+    { name: 'Outstanding', type: 'number' },
+    { name: 'Expected To Date', type: 'number' },
+    { name: 'Overdue', type: 'number' }
+  ],
+  reconciliation: [
+    { name: 'Project ID', type: 'string' },
+    { name: 'Project Title', type: 'string' },
+    { name: 'Budget', type: 'number' },
+    { name: 'Funds Distributed', type: 'number' },
+    { name: 'Received On-Chain', type: 'number' },
+    { name: 'Approved Milestone Costs', type: 'number' },
+    { name: 'Distributed Minus Received', type: 'number' },
+    { name: 'Duplicate Transactions', type: 'string' },
+    { name: 'Payouts Outside Date Range', type: 'string' },
+    { name: 'Status', type: 'string' },
+    { name: 'Issues', type: 'string' }
+  ],
+  price_history: [
+    { name: 'date', type: 'date' },
+    { name: 'currency', type: 'string' },
+    { name: 'price', type: 'number' },
+    { name: 'source', type: 'string' }
+  ]
+};
+
+// History files prefix the dataset columns with the date of each snapshot
+const HISTORY_PREFIX = 'history/';
+const SNAPSHOT_DATE_COLUMN = { name: 'snapshot_date', type: 'date' };
+
+/**
+ * Get the column schema of a dataset, e.g. milestones or history/milestones
+ *
+ * @param {string} dataset - Dataset name
+ * @returns {Array<Column>} - Columns of the dataset
+ */
+function getSchema(dataset) {
+  if (dataset.startsWith(HISTORY_PREFIX)) {
+    return [SNAPSHOT_DATE_COLUMN, ...getSchema(dataset.slice(HISTORY_PREFIX.length))];
+  }
+
+  const schema = DATASET_SCHEMAS[dataset];
+  if (!schema) {
+    throw new Error(`Unknown dataset: ${dataset}`);
+  }
+  return schema;
+}
+
+/**
+ * Get the headers a dataset is written with. Adjacent per-currency columns
+ * form a group that is repeated for each currency, e.g.
+ * ADA Price (USD), Value (USD), ADA Price (EUR), Value (EUR).
+ *
+ * @param {string} dataset - Dataset name
+ * @param {Array<string>} [currencies] - Fiat currencies of the per-currency columns
+ * @returns {Array<string>} - Column headers in order
+ */
+function datasetHeaders(dataset, currencies = []) {
+  const headers = [];
+  let currencyGroup = [];
+
+  const flushGroup = () => {
+    for (const currency of currencies) {
+      headers.push(...currencyGroup.map(column => column.name.replace(FIAT_PLACEHOLDER, currency)));
+    }
+    currencyGroup = [];
+  };
+
+  for (const column of getSchema(dataset)) {
+    if (column.perCurrency) {
+      currencyGroup.push(column);
+      continue;
+    }
+    flushGroup();
+    headers.push(column.name);
+  }
+  flushGroup();
+
+  return headers;
+}
+
+/**
+ * Find the type of a header. Per-currency columns match any currency code;
+ * headers the schema does not know (e.g. from an older layout) are strings.
+ *
+ * @param {Array<Column>} schema - Columns of the dataset
+ * @param {string} header - Column header
+ * @returns {ColumnType} - Type of the column
+ */
+function columnType(schema, header) {
+  const column = schema.find(candidate => {
+    if (!candidate.perCurrency) return candidate.name === header;
+
+    const [before, after] = candidate.name.split(FIAT_PLACEHOLDER);
+    return header.startsWith(before) && header.endsWith(after) && header.length > before.length + after.length;
+  });
+  return column ? column.type : 'string';
+}
+
+/**
+ * Convert a CSV field to the type of its column. Empty fields, and numbers
+ * or booleans that cannot be read, become null; strings stay as written.
+ *
+ * @param {string} value - Field as read from the file
+ * @param {ColumnType} type - Column type
+ * @returns {string|number|boolean|null} - Typed value
+ */
+function parseValue(value, type) {
+  if (type === 'string') return value;
+  if (value === '') return null;
+
+  if (type === 'number') {
+    const number = Number(value);
+    return Number.isNaN(number) ? null : number;
+  }
+  if (type === 'boolean') {
+    if (value === 'true' || value === '1') return true;
+    if (value === 'false' || value === '0') return false;
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Turn parsed rows into typed objects keyed by header, skipping blank rows
+ *
+ * @param {string} dataset - Dataset name
+ * @param {Array<string>} headers - Header row
+ * @param {Array<Array<string>>} rows - Data rows
+ * @returns {Array<Object<string, string|number|boolean|null>>} - One object per row
+ */
+function toRecords(dataset, headers, rows) {
+  const schema = getSchema(dataset);
+  const types = headers.map(header => columnType(schema, header));
+
+  return rows
+    .filter(row => row.some(cell => cell !== ''))
+    .map(row => Object.fromEntries(headers.map((header, index) => [header, parseValue(row[index] ?? '', types[index])])));
+}
+
+/**
+ * Read a dataset file as typed records
+ *
+ * @param {string} dataDir - Directory holding the dataset files
+ * @param {string} dataset - Dataset name, e.g. milestones or history/proposals
+ * @returns {{headers: Array<string>, records: Array<Object<string, string|number|boolean|null>>}} - Headers (empty if the file does not exist) and records
+ */
+function readDataset(dataDir, dataset) {
+  const filePath = path.join(dataDir, `${dataset}.csv`);
+  if (!fs.existsSync(filePath)) {
+    return { headers: [], records: [] };
+  }
+
+  const [headers = [], ...rows] = parseCsv(fs.readFileSync(filePath, 'utf8'));
+  return { headers, records: toRecords(dataset, headers, rows) };
+}
+
+module.exports = {
+  DATASET_SCHEMAS,
+  getSchema,
+  datasetHeaders,
+  columnType,
+  parseValue,
+  toRecords,
+  readDataset
+};
@@ -123,6 +123,74 @@ class GoogleSheetsService {
         }
     }
 
+    /**
+     * Create a sheet in the spreadsheet unless it already exists
+     *
+     * @param {string} sheetName - Name of the sheet
+     * @returns {Promise<boolean>} - Whether the sheet was created
+     */
+    async ensureSheet(sheetName) {
+        await this.initialize();
+
+        try {
+            const response = await this.sheets.spreadsheets.get({
+                spreadsheetId: this.spreadsheetId,
+                fields: 'sheets.properties.title',
+            });
+            const titles = (response.data.sheets || []).map(sheet => sheet.properties.title);
+            if (titles.includes(sheetName)) return false;
+
+            await this.sheets.spreadsheets.batchUpdate({
+                spreadsheetId: this.spreadsheetId,
+                resource: {
+                    requests: [{ addSheet: { properties: { title: sheetName } } }],
+                },
+            });
+
+            console.log(`Sheet created: ${sheetName}`);
+            return true;
+        } catch (error) {
+            console.error(`Error creating sheet ${sheetName}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace the whole contents of a sheet, header row included,
+     * creating the sheet if needed
+     *
+     * @param {string} sheetName - Name of the sheet to write
+     * @param {Array<string>} headers - Column headers for the first row
+     * @param {Array<Array<any>>} values - 2D array of values to write below the headers
+     * @returns {Promise<object>} - Response from the API
+     */
+    async writeSheet(sheetName, headers, values) {
+        await this.ensureSheet(sheetName);
+
+        try {
+            // Clear everything, so stale rows and columns of a wider dataset do not remain
+            await this.sheets.spreadsheets.values.clear({
+                spreadsheetId: this.spreadsheetId,
+                range: sheetName,
+            });
+
+            const response = await this.sheets.spreadsheets.values.update({
+                spreadsheetId: this.spreadsheetId,
+                range: `${sheetName}!A1`,
+                valueInputOption: 'RAW',
+                resource: {
+                    values: [headers, ...values].map(row => row.map(cell => cell ?? '')),
+                },
+            });
+
+            console.log(`${response.data.updatedRows} rows written to sheet: ${sheetName}`);
+            return response.data;
+        } catch (error) {
+            console.error(`Error writing sheet ${sheetName}:`, error);
+            throw error;
+        }
+    }
+
     /**
      * Read data from a specific sheet
      * 
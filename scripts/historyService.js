@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const csvService = require('./csvService');
+
+const DEFAULT_RETENTION_DAYS = 730;
+
+/**
+ * Keeps a dated, append-only history of selected datasets.
+ * Every sync appends its rows to data/history/<dataset>.csv with a leading
+ * snapshot_date column, so time-series questions can be answered from the
+ * data directory without digging through git.
+ */
+class HistoryService {
+    constructor() {
+        this.historyDir = path.join(__dirname, '..', 'data', 'history');
+        this.initialized = false;
+    }
+
+    /**
+     * Initialize the history service by ensuring the history directory exists
+     */
+    async initialize() {
+        if (this.initialized) return;
+
+        try {
+            if (!fs.existsSync(this.historyDir)) {
+                fs.mkdirSync(this.historyDir, { recursive: true });
+            }
+            this.initialized = true;
+            console.log('History Service initialized successfully');
+        } catch (error) {
+            console.error('Error initializing History Service:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Read all snapshots of a dataset
+     *
+     * @param {string} dataset - Name of the dataset (without extension)
+     * @returns {Promise<{headers: Array<string>, rows: Array<Array<string>>}>} - History headers and rows
+     */
+    async readHistory(dataset) {
+        await this.initialize();
+
+        const [headers = [], ...rows] = await csvService.readCsv(`history/${dataset}`);
+        return { headers, rows };
+    }
+
+    /**
+     * Record a snapshot of a dataset.
+     * Rows of an earlier snapshot taken on the same date are replaced, rows
+     * older than the retention period are pruned, and rows written under an
+     * older header layout are remapped to the current headers by column name.
+     *
+     * @param {string} dataset - Name of the dataset (without extension)
+     * @param {Array<string>} headers - Column headers of the dataset
+     * @param {Array<Array<any>>} values - 2D array of values to record
+     * @param {Object} [options]
+     * @param {string} [options.snapshotDate] - ISO date of the snapshot (defaults to today)
+     * @param {number} [options.retentionDays] - Days of history to keep (0 keeps everything)
+     * @returns {Promise<string>} - Path to the updated history file
+     */
+    async recordSnapshot(dataset, headers, values, options = {}) {
+        const snapshotDate = options.snapshotDate || new Date().toISOString().split('T')[0];
+
+        return this.mergeSnapshots(dataset, [{ snapshotDate, headers, rows: values }], {
+            headers,
+            overwrite: true,
+            retentionDays: options.retentionDays,
+            referenceDate: snapshotDate
+        });
+    }
+
+    /**
+     * Merge several dated snapshots of a dataset into its history file.
+     * Each snapshot carries its own headers, so rows written under older
+     * layouts are remapped to the history headers by column name.
+     *
+     * @param {string} dataset - Name of the dataset (without extension)
+     * @param {Array<{snapshotDate: string, headers: Array<string>, rows: Array<Array<any>>}>} snapshots - Snapshots to merge
+     * @param {Object} [options]
+     * @param {Array<string>} [options.headers] - Dataset headers to write (defaults to the existing history headers, then the newest snapshot's)
+     * @param {boolean} [options.overwrite] - Replace existing rows of the same snapshot date instead of keeping them
+     * @param {number} [options.retentionDays] - Days of history to keep (0 keeps everything)
+     * @param {string} [options.referenceDate] - ISO date the retention period is counted back from (defaults to today)
+     * @returns {Promise<string>} - Path to the updated history file
+     */
+    async mergeSnapshots(dataset, snapshots, options = {}) {
+        await this.initialize();
+
+        const retentionDays = options.retentionDays ?? DEFAULT_RETENTION_DAYS;
+        const referenceDate = options.referenceDate || new Date().toISOString().split('T')[0];
+
+        try {
+            const existing = await this.readHistory(dataset);
+            const newestSnapshot = [...snapshots].sort((a, b) => a.snapshotDate.localeCompare(b.snapshotDate)).pop();
+            const datasetHeaders = options.headers ||
+                (existing.headers.length ? existing.headers.slice(1) : newestSnapshot?.headers || []);
+            const historyHeaders = ['snapshot_date', ...datasetHeaders];
+
+            const cutoffDate = retentionDays > 0
+                ? new Date(Date.parse(referenceDate) - retentionDays * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
+                : null;
+
+            const existingRows = existing.rows.map(row => this.remapRow(row, existing.headers, historyHeaders));
+            const existingDates = new Set(existingRows.map(row => row[0]));
+            const snapshotDates = new Set(snapshots.map(snapshot => snapshot.snapshotDate));
+
+            const keptRows = options.overwrite
+                ? existingRows.filter(row => !snapshotDates.has(row[0]))
+                : existingRows;
+
+            const newRows = snapshots
+                .filter(snapshot => options.overwrite || !existingDates.has(snapshot.snapshotDate))
+                .flatMap(snapshot => snapshot.rows.map(row =>
+                    [snapshot.snapshotDate, ...this.remapRow(row, snapshot.headers, datasetHeaders)]
+                ));
+
+            const rows = [...keptRows, ...newRows]
+                .filter(row => !cutoffDate || row[0] >= cutoffDate)
+                .sort((a, b) => a[0].localeCompare(b[0]));
+
+            const filePath = await csvService.updateCsv(`history/${dataset}`, rows, historyHeaders);
+            console.log(`History for ${dataset} updated: ${newRows.length} rows from ${snapshotDates.size} snapshot(s)`);
+            return filePath;
+        } catch (error) {
+            console.error(`Error recording history for ${dataset}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reorder a row written under one header layout into another
+     *
+     * @param {Array<string>} row - Row values
+     * @param {Array<string>} fromHeaders - Headers the row was written with
+     * @param {Array<string>} toHeaders - Headers to map the row to
+     * @returns {Array<string>} - Row values in the order of toHeaders
+     */
+    remapRow(row, fromHeaders, toHeaders) {
+        return toHeaders.map(header => {
+            const index = fromHeaders.indexOf(header);
+            return index === -1 ? '' : (row[index] ?? '');
+        });
+    }
+}
+
+module.exports = new HistoryService();
@@ -0,0 +1,115 @@
+// scripts/import-prices.js
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('./csv');
+const priceHistoryService = require('./priceHistoryService');
+
+const USAGE = `Usage: node scripts/import-prices.js <file.csv> [--source <name>] [--overwrite]
+
+The file either has date, currency and price columns (one row per price),
+or a date column followed by one column per currency (e.g. date,USD,EUR).`;
+
+/**
+ * Parses command line arguments.
+ */
+function parseArgs(argv) {
+  const options = { file: null, source: null, overwrite: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--source') {
+      options.source = argv[++i];
+    } else if (arg === '--overwrite') {
+      options.overwrite = true;
+    } else if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (!arg.startsWith('--') && !options.file) {
+      options.file = arg;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Normalizes a date cell to an ISO date (YYYY-MM-DD), or null if it is not a date.
+ */
+function toIsoDate(value) {
+  const timestamp = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value);
+  return Number.isNaN(timestamp) ? null : new Date(timestamp).toISOString().split('T')[0];
+}
+
+/**
+ * Turns the rows of a price file into { date, currency, price } entries.
+ * Rows with an invalid date or a non-positive price are reported and skipped.
+ */
+function readPriceRows(headers, rows) {
+  const normalizedHeaders = headers.map(header => header.trim().toLowerCase());
+  const dateColumn = normalizedHeaders.indexOf('date');
+  if (dateColumn === -1) {
+    throw new Error('The file has no date column');
+  }
+
+  const currencyColumn = normalizedHeaders.indexOf('currency');
+  const priceColumn = normalizedHeaders.indexOf('price');
+  const longFormat = currencyColumn !== -1 && priceColumn !== -1;
+
+  const entries = [];
+  rows.forEach((row, index) => {
+    const date = toIsoDate(row[dateColumn]);
+    const cells = longFormat
+      ? [{ currency: row[currencyColumn], value: row[priceColumn] }]
+      : headers
+        .map((header, column) => ({ currency: header.trim(), value: row[column] }))
+        .filter((cell, column) => column !== dateColumn && cell.value !== '');
+
+    for (const { currency, value } of cells) {
+      const price = parseFloat(value);
+      if (!date || !currency || !(price > 0)) {
+        console.error(`Skipping line ${index + 2}: invalid date, currency or price`);
+        continue;
+      }
+      entries.push({ date, currency: currency.toUpperCase(), price });
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Imports daily ADA prices from a CSV file into data/price_history.csv.
+ * Prices already in the store are kept unless --overwrite is given.
+ */
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help || !options.file) {
+    console.log(USAGE);
+    if (!options.file && !options.help) process.exitCode = 1;
+    return;
+  }
+
+  const content = fs.readFileSync(options.file, 'utf8');
+  const [headers = [], ...rows] = parseCsv(content);
+  const entries = readPriceRows(headers, rows.filter(row => row.some(cell => cell !== '')));
+  const source = options.source || `import:${path.basename(options.file)}`;
+
+  await priceHistoryService.load();
+  const imported = entries.filter(entry =>
+    priceHistoryService.setPrice(entry.date, entry.currency, entry.price, source, { overwrite: options.overwrite })
+  ).length;
+  await priceHistoryService.save();
+
+  console.log(`Imported ${imported} of ${entries.length} prices (${entries.length - imported} already stored)`);
+}
+
+// Execute main function
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Fatal error in price import:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { readPriceRows, main };
@@ -0,0 +1,148 @@
+const axios = require('axios');
+
+const DEFAULT_OPTIONS = {
+    baseUrl: process.env.KOIOS_API_URL || 'https://api.koios.rest/api/v1',
+    pageSize: 1000,
+    batchSize: 50,
+    concurrency: 4,
+    maxRetries: 5,
+    retryBaseDelayMs: 1000,
+    timeoutMs: 60000
+};
+
+/**
+ * Wait for the given number of milliseconds
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Determine whether a failed request is worth retrying:
+ * rate limits, server errors and network errors without a response.
+ */
+function isRetryable(error) {
+    const status = error.response?.status;
+    if (!status) return true;
+    return status === 429 || status >= 500;
+}
+
+/**
+ * HTTP client for the Koios API.
+ * Retries rate-limited (429) and failed (5xx, network) requests with
+ * exponential backoff, follows offset/limit pagination, batches bulk
+ * requests and limits how many run at once. Errors are thrown once the
+ * retries are exhausted, so callers never silently lose data.
+ */
+class KoiosClient {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    /**
+     * Override client options, e.g. from globalSettings.koios
+     *
+     * @param {Object} [options] - pageSize, batchSize, concurrency, maxRetries, retryBaseDelayMs, timeoutMs
+     */
+    configure(options = {}) {
+        this.options = { ...this.options, ...options };
+    }
+
+    /**
+     * Send a POST request, retrying transient failures
+     *
+     * @param {string} endpoint - Koios endpoint, e.g. 'tx_info'
+     * @param {Object} data - Request body
+     * @param {Object} [params] - Query string parameters
+     * @returns {Promise<any>} - Response data
+     */
+    async post(endpoint, data, params = {}) {
+        const url = `${this.options.baseUrl}/${endpoint}`;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await axios.post(url, data, {
+                    params,
+                    timeout: this.options.timeoutMs,
+                    headers: {
+                        'Accept': 'application/json',
+                        'Content-Type': 'application/json',
+                        'Authorization': `Bearer ${process.env.KOIOS_API_KEY}`
+                    }
+                });
+                return response.data;
+            } catch (error) {
+                const status = error.response?.status;
+                if (attempt >= this.options.maxRetries || !isRetryable(error)) {
+                    throw new Error(`Koios ${endpoint} request failed${status ? ` with status ${status}` : ''}: ${error.message}`);
+                }
+
+                const retryAfterSeconds = Number(error.response?.headers?.['retry-after']);
+                const delay = retryAfterSeconds > 0
+                    ? retryAfterSeconds * 1000
+                    : this.options.retryBaseDelayMs * 2 ** attempt + Math.floor(Math.random() * 250);
+
+                console.log(`Koios ${endpoint} request failed (${status || error.code || error.message}), retrying in ${delay}ms`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Send a POST request and follow offset/limit pagination until a page
+     * comes back with fewer rows than the page size
+     *
+     * @param {string} endpoint - Koios endpoint, e.g. 'address_txs'
+     * @param {Object} data - Request body
+     * @returns {Promise<Array>} - All rows of all pages
+     */
+    async postPaginated(endpoint, data) {
+        const rows = [];
+
+        for (let offset = 0; ; offset += this.options.pageSize) {
+            const page = await this.post(endpoint, data, { offset, limit: this.options.pageSize });
+            if (!Array.isArray(page)) {
+                throw new Error(`Koios ${endpoint} returned an unexpected response`);
+            }
+
+            rows.push(...page);
+            if (page.length < this.options.pageSize) return rows;
+        }
+    }
+
+    /**
+     * Run an async function over items with at most `concurrency` in flight
+     *
+     * @param {Array} items - Items to process
+     * @param {Function} fn - Async function called with each item
+     * @returns {Promise<Array>} - Results in the order of the items
+     */
+    async mapWithConcurrency(items, fn) {
+        const results = new Array(items.length);
+        let nextIndex = 0;
+
+        const worker = async () => {
+            while (nextIndex < items.length) {
+                const index = nextIndex++;
+                results[index] = await fn(items[index], index);
+            }
+        };
+
+        const workerCount = Math.min(this.options.concurrency, items.length);
+        await Promise.all(Array.from({ length: workerCount }, worker));
+        return results;
+    }
+
+    /**
+     * Split items into batches of `batchSize`
+     */
+    toBatches(items) {
+        const batches = [];
+        for (let i = 0; i < items.length; i += this.options.batchSize) {
+            batches.push(items.slice(i, i + this.options.batchSize));
+        }
+        return batches;
+    }
+}
+
+module.exports = new KoiosClient();
@@ -1,4 +1,18 @@
-const axios = require('axios');
+const koiosClient = require('./koiosClient');
+const txCacheService = require('./txCacheService');
+const { DEFAULT_PAYOUT_RULES, evaluatePayout } = require('./payoutRules');
+const { isStakeAddress, matchesWallet, resolveWalletAddresses } = require('./walletAddresses');
+
+// tx_info flags shared by single and batched requests
+const TX_INFO_OPTIONS = {
+  _inputs: true,
+  _metadata: true,
+  _assets: true,
+  _withdrawals: true,
+  _certs: true,
+  _scripts: true,
+  _bytecode: true,
+};
 
 /**
  * Retrieves detailed transaction information for a given transaction hash.
@@ -8,133 +22,251 @@ const axios = require('axios');
  * @returns {Promise<Object|null>} Detailed transaction info or null if not found.
  */
 async function getTxInfo(txHash) {
-  const url = "https://api.koios.rest/api/v1/tx_info";
-  const data = {
-    _tx_hashes: [txHash],
-    _inputs: true,
-    _metadata: true,
-    _assets: true,
-    _withdrawals: true,
-    _certs: true,
-    _scripts: true,
-    _bytecode: true,
-  };
-
-  try {
-    const response = await axios.post(url, data, {
-      headers: {
-        'Accept': 'application/json',
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.KOIOS_API_KEY}`,
-      },
-    });
-    // Assume the response.data is an array; return the first element or null.
-    return response.data && response.data[0] ? response.data[0] : null;
-  } catch (error) {
-    console.error(`Error fetching transaction info for ${txHash}:`, error);
-    throw new Error(error.message);
+  const data = await koiosClient.post('tx_info', { _tx_hashes: [txHash], ...TX_INFO_OPTIONS });
+  // Assume the response data is an array; return the first element or null.
+  return data && data[0] ? data[0] : null;
+}
+
+/**
+ * Retrieves detailed transaction information for many hashes, batching
+ * them into tx_info requests that run with limited concurrency.
+ * Throws if any transaction is missing from the responses, so a wallet
+ * is never reported with part of its history.
+ *
+ * @param {Array<string>} txHashes - The transaction hashes.
+ * @returns {Promise<Array<Object>>} Detailed transaction info, one per hash.
+ */
+async function getTxInfoBatch(txHashes) {
+  const batches = koiosClient.toBatches(txHashes);
+  const responses = await koiosClient.mapWithConcurrency(batches, batch =>
+    koiosClient.post('tx_info', { _tx_hashes: batch, ...TX_INFO_OPTIONS })
+  );
+
+  const txs = responses.flat();
+  const returnedHashes = new Set(txs.map(tx => tx.tx_hash));
+  const missingHashes = txHashes.filter(txHash => !returnedHashes.has(txHash));
+  if (missingHashes.length > 0) {
+    throw new Error(`tx_info did not return ${missingHashes.length} transaction(s): ${missingHashes.join(', ')}`);
+  }
+
+  return txs;
+}
+
+/**
+ * Retrieves asset information (ticker, decimals, names) for native tokens,
+ * mirroring getAssetInfo from src/services/koios.ts on top of koiosClient.
+ *
+ * @param {Array<Array<string>>} assetList - [policy_id, hex asset_name] pairs.
+ * @returns {Promise<Array<Object>>} asset_info responses.
+ */
+async function getAssetInfo(assetList) {
+  const batches = koiosClient.toBatches(assetList);
+  const responses = await koiosClient.mapWithConcurrency(batches, batch =>
+    koiosClient.post('asset_info', { _asset_list: batch })
+  );
+  return responses.flat();
+}
+
+/**
+ * Retrieves the native tokens currently held by a wallet. Stake addresses
+ * are looked up with account_assets, payment addresses with address_assets.
+ *
+ * @param {string} wallet - The wallet address or stake address (bech32).
+ * @returns {Promise<Array<Object>>} Asset rows ({ policy_id, asset_name, fingerprint, decimals, quantity }).
+ */
+async function fetchWalletAssets(wallet) {
+  if (isStakeAddress(wallet)) {
+    return koiosClient.postPaginated('account_assets', { _stake_addresses: [wallet] });
   }
+  return koiosClient.postPaginated('address_assets', { _addresses: [wallet] });
+}
+
+/**
+ * Flattens account endpoint responses, which either return one row per
+ * stake address with a nested list or one row per entry.
+ */
+function flattenAccountRows(rows, key) {
+  return rows.flatMap(row => Array.isArray(row[key])
+    ? row[key].map(entry => ({ stake_address: row.stake_address, ...entry }))
+    : [row]);
+}
+
+/**
+ * Retrieves the staking rewards earned by a stake address, one entry per
+ * epoch and reward type.
+ *
+ * @param {string} stakeAddress - The stake address (bech32).
+ * @returns {Promise<Array<Object>>} Rewards ({ earned_epoch, spendable_epoch, amount, type, pool_id }).
+ */
+async function fetchAccountRewards(stakeAddress) {
+  const rows = await koiosClient.postPaginated('account_rewards', { _stake_addresses: [stakeAddress] });
+  return flattenAccountRows(rows, 'rewards');
+}
+
+/**
+ * Retrieves the reward withdrawals made from a stake address.
+ *
+ * @param {string} stakeAddress - The stake address (bech32).
+ * @returns {Promise<Array<Object>>} Withdrawals ({ tx_hash, epoch_no, block_time, amount }).
+ */
+async function fetchAccountWithdrawals(stakeAddress) {
+  const rows = await koiosClient.postPaginated('account_withdrawals', { _stake_addresses: [stakeAddress] });
+  return flattenAccountRows(rows, 'withdrawals');
 }
 
 /**
  * Determines if a detailed transaction is incoming for the given wallet.
  * A transaction is incoming if:
- *   - At least one output's payment_addr.bech32 equals the wallet address, and
- *   - None of the inputs' payment_addr.bech32 equal the wallet address.
+ *   - At least one output's payment_addr.bech32 belongs to the wallet, and
+ *   - None of the inputs' payment_addr.bech32 belong to the wallet.
  *
  * @param {Object} tx - Detailed transaction object (from getTxInfo).
- * @param {string} wallet - The project wallet bech32 address.
+ * @param {string|Array<string>} wallet - The project wallet address, or every address of its account.
  * @returns {boolean} True if the transaction is incoming.
  */
 function isIncomingTransaction(tx, wallet) {
-  // Check outputs: must have at least one output with the wallet address.
+  // Check outputs: must have at least one output with a wallet address.
   const outputMatches = (tx.outputs || []).some(output =>
-    output.payment_addr &&
-    output.payment_addr.bech32 === wallet
+    matchesWallet(wallet, output.payment_addr?.bech32)
   );
-  // Check inputs: ensure none have the wallet address.
+  // Check inputs: ensure none have a wallet address.
   const inputMatches = (tx.inputs || []).some(input =>
-    input.payment_addr &&
-    input.payment_addr.bech32 === wallet
+    matchesWallet(wallet, input.payment_addr?.bech32)
   );
   return outputMatches && !inputMatches;
 }
 
 /**
- * Fetches all basic transactions for a given wallet (via /address_txs),
- * then retrieves detailed transaction info for each using getTxInfo.
- * Finally, filters for incoming transactions and applies date filters.
+ * Determines if a detailed transaction is outgoing for the given wallet.
+ * A transaction is outgoing if at least one input's payment_addr.bech32
+ * belongs to the wallet, i.e. the wallet spent funds in it.
  *
- * @param {string} wallet - The wallet address (bech32) to filter on.
+ * @param {Object} tx - Detailed transaction object (from getTxInfo).
+ * @param {string|Array<string>} wallet - The project wallet address, or every address of its account.
+ * @returns {boolean} True if the transaction is outgoing.
+ */
+function isOutgoingTransaction(tx, wallet) {
+  return (tx.inputs || []).some(input =>
+    matchesWallet(wallet, input.payment_addr?.bech32)
+  );
+}
+
+/**
+ * Determines if a transaction falls within the given date range.
+ *
+ * @param {Object} tx - Detailed transaction object (from getTxInfo).
  * @param {string} [startDate] - ISO date string for the start date.
  * @param {string} [endDate] - ISO date string for the end date.
- * @returns {Promise<Array>} Array of detailed incoming transactions.
+ * @returns {boolean} True if the transaction date is inside the range.
  */
-async function fetchWalletTransactions(wallet, startDate, endDate) {
-  const addressTxUrl = "https://api.koios.rest/api/v1/address_txs";
-  const basicRequestData = { _addresses: [wallet] };
-
-  try {
-    const basicResponse = await axios.post(addressTxUrl, basicRequestData, {
-      headers: {
-        'Accept': 'application/json',
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.KOIOS_API_KEY}`
-      }
-    });
-
-    const basicTxs = basicResponse.data;
-    if (!Array.isArray(basicTxs) || basicTxs.length === 0) {
-      return [];
-    }
+function isWithinDateRange(tx, startDate, endDate) {
+  const txDate = new Date(tx.tx_timestamp * 1000);
+  if (startDate && txDate < new Date(startDate)) return false;
+  if (endDate && txDate > new Date(endDate)) return false;
+  return true;
+}
 
-    const detailedTxs = await Promise.all(
-      basicTxs.map(async (tx) => {
-        try {
-          return await getTxInfo(tx.tx_hash);
-        } catch (error) {
-          console.error(`Skipping tx ${tx.tx_hash} due to error:`, error);
-          return null;
-        }
-      })
-    );
-
-    // Filter valid transactions
-    const validDetailedTxs = detailedTxs.filter(tx => tx !== null);
-
-    // Filter for incoming transactions and apply metadata filtering
-    const incomingTxs = validDetailedTxs.filter(tx => {
-      const txDate = new Date(tx.tx_timestamp * 1000);
-
-      // Date filtering.
-      if (startDate && txDate < new Date(startDate)) return false;
-      if (endDate && txDate > new Date(endDate)) return false;
-
-      // Check for incoming transaction
-      const isIncoming = isIncomingTransaction(tx, wallet);
-      if (!isIncoming) return false;
-
-      // **Check metadata for "Fund" and "Cohort"**
-      const metadataMsg = tx?.metadata?.[674]?.msg;
-      if (!metadataMsg || !Array.isArray(metadataMsg)) return false;
-
-      // Ensure it contains both 'Fund' and 'Cohort'
-      const metadataString = metadataMsg.join(' ').toLowerCase();
-        if (metadataString.includes('fund') && 
-            metadataString.includes('cohort') && 
-            !metadataString.includes('test')) {
-          return true;
-        }
-      return false;
-    });
-
-    return incomingTxs;
-  } catch (error) {
-    console.error('Error fetching wallet transactions:', error);
+/**
+ * Fetches all basic transactions for a given wallet (via /address_txs),
+ * then retrieves detailed transaction info for each using getTxInfoBatch.
+ * No direction, date or metadata filtering is applied.
+ * Stake addresses cover every address of the account.
+ *
+ * The sync is incremental: only transactions at or after the wallet's
+ * last synced block height are requested from /address_txs, and tx_info
+ * is only requested for hashes that are not in the local cache.
+ * Any Koios failure is thrown instead of returning a partial history.
+ *
+ * @param {string} wallet - The wallet address or stake address (bech32).
+ * @returns {Promise<Array>} Array of detailed transactions.
+ */
+async function fetchWalletHistory(wallet) {
+  const walletState = txCacheService.getWalletState(wallet);
+  const addresses = await resolveWalletAddresses(wallet);
+  const afterBlockHeight = walletState.lastBlockHeight > 0
+    ? { _after_block_height: walletState.lastBlockHeight }
+    : {};
+
+  const addressBatches = koiosClient.toBatches(addresses);
+  const basicTxs = (await koiosClient.mapWithConcurrency(addressBatches, batch =>
+    koiosClient.postPaginated('address_txs', { _addresses: batch, ...afterBlockHeight })
+  )).flat();
+  const txHashes = [...new Set([...walletState.txHashes, ...basicTxs.map(tx => tx.tx_hash)])];
+  if (txHashes.length === 0) {
     return [];
   }
+
+  const uncachedHashes = txHashes.filter(txHash => !txCacheService.getTxInfo(txHash));
+  console.log(`Wallet ${wallet}: ${basicTxs.length} new/recent transactions, ${uncachedHashes.length} not cached`);
+
+  const fetchedTxs = await getTxInfoBatch(uncachedHashes);
+  fetchedTxs.forEach(tx => txCacheService.setTxInfo(tx));
+
+  txCacheService.setWalletState(wallet, {
+    lastBlockHeight: basicTxs.reduce(
+      (max, tx) => Math.max(max, tx.block_height || 0),
+      walletState.lastBlockHeight
+    ),
+    txHashes
+  });
+
+  return txHashes.map(txHash => txCacheService.getTxInfo(txHash));
+}
+
+/**
+ * Filters detailed transactions down to incoming payouts within the given
+ * date range, logging why each transaction was included or excluded.
+ *
+ * @param {Array} txs - Detailed transactions (from fetchWalletHistory).
+ * @param {string|Array<string>} wallet - The wallet address, or every address of its account.
+ * @param {string} [startDate] - ISO date string for the start date.
+ * @param {string} [endDate] - ISO date string for the end date.
+ * @param {Object} [rules] - Payout rules (see payoutRules.resolvePayoutRules).
+ * @returns {Array} Array of detailed incoming transactions.
+ */
+function filterIncomingTransactions(txs, wallet, startDate, endDate, rules = DEFAULT_PAYOUT_RULES) {
+  return txs.filter(tx => {
+    let decision;
+    if (!isIncomingTransaction(tx, wallet)) {
+      decision = { included: false, reason: 'not incoming' };
+    } else if (!isWithinDateRange(tx, startDate, endDate)) {
+      decision = { included: false, reason: 'outside date range' };
+    } else {
+      decision = evaluatePayout(tx, wallet, rules);
+    }
+
+    console.log(`Tx ${tx.tx_hash}: ${decision.included ? 'included' : 'excluded'} (${decision.reason})`);
+    return decision.included;
+  });
+}
+
+/**
+ * Fetches the wallet history and filters for incoming payouts
+ * within the given date range.
+ *
+ * @param {string} wallet - The wallet address or stake address (bech32) to filter on.
+ * @param {string} [startDate] - ISO date string for the start date.
+ * @param {string} [endDate] - ISO date string for the end date.
+ * @param {Object} [rules] - Payout rules (see payoutRules.resolvePayoutRules).
+ * @returns {Promise<Array>} Array of detailed incoming transactions.
+ */
+async function fetchWalletTransactions(wallet, startDate, endDate, rules) {
+  const history = await fetchWalletHistory(wallet);
+  const addresses = await resolveWalletAddresses(wallet);
+  return filterIncomingTransactions(history, addresses, startDate, endDate, rules);
 }
 
 module.exports = {
-  fetchWalletTransactions
+  getTxInfo,
+  getTxInfoBatch,
+  getAssetInfo,
+  fetchWalletAssets,
+  fetchAccountRewards,
+  fetchAccountWithdrawals,
+  fetchWalletTransactions,
+  fetchWalletHistory,
+  filterIncomingTransactions,
+  isIncomingTransaction,
+  isOutgoingTransaction,
+  isWithinDateRange
 };
@@ -0,0 +1,135 @@
+// scripts/milestonePayouts.js
+
+// Payouts within this many ADA of a milestone's cost count as paying it in full
+const AMOUNT_TOLERANCE = 1;
+
+/**
+ * Checks whether a milestone has been approved for payment (PoA signed off).
+ */
+function isMilestoneApproved(milestone) {
+  return Number(milestone.poa_signoff_count) > 0;
+}
+
+/**
+ * Checks whether a milestone's matched payouts cover its cost.
+ */
+function isMilestonePaid(milestone) {
+  const paid = Number(milestone.paid_amount) || 0;
+  return paid > 0 && paid >= Number(milestone.cost) - AMOUNT_TOLERANCE;
+}
+
+/**
+ * Extracts the milestone numbers a payout message refers to, e.g.
+ * "milestone 2", "milestones 1 and 2", "M3" or "MS4".
+ *
+ * @param {string} text - Metadata message of the transaction
+ * @returns {Array<number>} - Referenced milestone numbers
+ */
+function parseMilestoneReferences(text) {
+  const references = new Set();
+  const message = String(text || '');
+
+  for (const match of message.matchAll(/\bmilestones?\s*#?\s*(\d+(?:\s*(?:,|&|\+|and)\s*#?\d+)*)/gi)) {
+    for (const number of match[1].match(/\d+/g)) references.add(Number(number));
+  }
+  for (const match of message.matchAll(/\bms?#?(\d+)\b/gi)) {
+    references.add(Number(match[1]));
+  }
+
+  return [...references];
+}
+
+/**
+ * Assigns each incoming payout of a project to the milestone(s) it pays for.
+ * Payouts are matched, in this order of precedence, by:
+ *   1. manual overrides from the project's `milestoneOverrides`
+ *      (an empty `milestones` list marks a payout as not paying any milestone),
+ *   2. milestone references in the metadata message,
+ *   3. an amount equal to the cost of a milestone that has not been paid yet,
+ *   4. chronological order: the first milestone not yet paid in full that
+ *      was approved on or before the payout date.
+ * A payout covering several milestones pays their costs in order, with any
+ * remainder going to the last one.
+ *
+ * @param {Array<Object>} milestones - Processed milestones of the project
+ * @param {Array<Object>} transactions - Incoming payouts ({ txHash, date, amount, metadata })
+ * @param {Array<{txHash: string, milestones: Array<number>}>} [overrides] - Manual assignments
+ * @returns {{milestones: Array<Object>, unmatched: Array<Object>}} - Milestones with paid_amount,
+ *   paid_tx_hash, paid_date and approved_unpaid, and the payouts no milestone could be found for
+ */
+function matchMilestonePayouts(milestones, transactions, overrides = []) {
+  const states = milestones
+    .map(milestone => ({ milestone, payments: [] }))
+    .sort((a, b) => Number(a.milestone.milestone) - Number(b.milestone.milestone));
+  const byNumber = new Map(states.map(state => [Number(state.milestone.milestone), state]));
+  const overridesByTx = new Map(overrides.map(override => [override.txHash, override.milestones]));
+
+  const paidAmount = state => state.payments.reduce((sum, payment) => sum + payment.amount, 0);
+  const isPaid = state => paidAmount(state) >= Number(state.milestone.cost) - AMOUNT_TOLERANCE;
+  const approvedBy = (state, date) => isMilestoneApproved(state.milestone) &&
+    (!state.milestone.approved_date || state.milestone.approved_date <= date);
+
+  const assign = (tx, targets) => {
+    let left = tx.amount;
+    targets.forEach((state, index) => {
+      const amount = index === targets.length - 1
+        ? left
+        : Math.min(left, Math.max(Number(state.milestone.cost) - paidAmount(state), 0));
+      left -= amount;
+      state.payments.push({ txHash: tx.txHash, date: tx.date, amount });
+    });
+  };
+
+  const resolveTargets = numbers => numbers.map(number => byNumber.get(Number(number))).filter(Boolean);
+
+  let unmatched = [...transactions]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .filter(tx => {
+      if (!overridesByTx.has(tx.txHash)) return true;
+      const targets = resolveTargets(overridesByTx.get(tx.txHash));
+      if (targets.length > 0) assign(tx, targets);
+      return false;
+    });
+
+  unmatched = unmatched.filter(tx => {
+    const targets = resolveTargets(parseMilestoneReferences(tx.metadata));
+    if (targets.length === 0) return true;
+    assign(tx, targets);
+    return false;
+  });
+
+  unmatched = unmatched.filter(tx => {
+    const candidates = states.filter(state =>
+      state.payments.length === 0 && Math.abs(Number(state.milestone.cost) - tx.amount) < AMOUNT_TOLERANCE
+    );
+    const target = candidates.find(state => approvedBy(state, tx.date)) || candidates[0];
+    if (!target) return true;
+    assign(tx, [target]);
+    return false;
+  });
+
+  unmatched = unmatched.filter(tx => {
+    const target = states.find(state => !isPaid(state) && approvedBy(state, tx.date));
+    if (!target) return true;
+    assign(tx, [target]);
+    return false;
+  });
+
+  return {
+    milestones: states.map(state => ({
+      ...state.milestone,
+      paid_amount: Number(paidAmount(state).toFixed(6)),
+      paid_tx_hash: state.payments.map(payment => payment.txHash).join('; '),
+      paid_date: state.payments.map(payment => payment.date).sort().pop() || '',
+      approved_unpaid: isMilestoneApproved(state.milestone) && !isPaid(state)
+    })),
+    unmatched
+  };
+}
+
+module.exports = {
+  isMilestoneApproved,
+  isMilestonePaid,
+  parseMilestoneReferences,
+  matchMilestonePayouts
+};
@@ -0,0 +1,91 @@
+// scripts/milestoneStatus.js
+const { isMilestoneApproved, isMilestonePaid } = require('./milestonePayouts');
+
+// Lifecycle statuses, in the order a milestone normally moves through them
+const MILESTONE_STATUSES = [
+  'not_started',
+  'in_progress',
+  'submitted',
+  'som_approved',
+  'poa_approved',
+  'paid',
+  'overdue'
+];
+
+/**
+ * Adds a number of months to an ISO date (UTC) and returns the resulting
+ * Date. Days past the end of the target month fall on its last day, so
+ * 2025-01-31 plus one month is 2025-02-28 rather than March 3.
+ */
+function addMonths(isoDate, months) {
+  const date = new Date(isoDate);
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + Number(months || 0));
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDay));
+  return date;
+}
+
+/**
+ * Returns the ISO date (YYYY-MM-DD) a milestone is due: the project start
+ * plus the milestone's month.
+ */
+function milestoneDueDate(startDate, month) {
+  return addMonths(startDate, month).toISOString().split('T')[0];
+}
+
+/**
+ * Derives the lifecycle status of one milestone. Payment and PoA sign-off
+ * settle a milestone; otherwise it is overdue once its due date has passed.
+ * Before that it is SoM approved once signed off, submitted once reviewers
+ * have approved any of its outputs, success criteria, evidence or PoA
+ * content, and in progress once reported as partly complete or once the
+ * previous milestone's due date (the project start for the first) is reached.
+ *
+ * @param {Object} milestone - Milestone with its flags, paid_amount and due_date
+ * @param {string} windowStart - ISO date from which work on the milestone is expected
+ * @param {string} today - Current ISO date
+ * @returns {string} - One of MILESTONE_STATUSES
+ */
+function deriveMilestoneStatus(milestone, windowStart, today) {
+  if (isMilestonePaid(milestone)) return 'paid';
+  if (isMilestoneApproved(milestone)) return 'poa_approved';
+  if (milestone.due_date < today) return 'overdue';
+  if (Number(milestone.som_signoff_count) > 0) return 'som_approved';
+
+  const reviewed = milestone.outputs_approved ||
+    milestone.success_criteria_approved ||
+    milestone.evidence_approved ||
+    milestone.poa_content_approved;
+  if (reviewed) return 'submitted';
+
+  if (Number(milestone.completion) > 0 || windowStart <= today) return 'in_progress';
+  return 'not_started';
+}
+
+/**
+ * Adds due_date and status to the milestones of a project.
+ *
+ * @param {Array<Object>} milestones - Milestones of one project
+ * @param {string} startDate - Project start (dateRanges.start), ISO date
+ * @param {Date} [now] - Reference time, defaults to the current time
+ * @returns {Array<Object>} - Milestones with due_date and status
+ */
+function deriveMilestoneStatuses(milestones, startDate, now = new Date()) {
+  const today = now.toISOString().split('T')[0];
+  const sorted = [...milestones].sort((a, b) => Number(a.milestone) - Number(b.milestone));
+
+  return sorted.map((milestone, index) => {
+    const withDueDate = { ...milestone, due_date: milestoneDueDate(startDate, milestone.month) };
+    const windowStart = index > 0 ? milestoneDueDate(startDate, sorted[index - 1].month) : startDate;
+    return { ...withDueDate, status: deriveMilestoneStatus(withDueDate, windowStart, today) };
+  });
+}
+
+module.exports = {
+  MILESTONE_STATUSES,
+  addMonths,
+  milestoneDueDate,
+  deriveMilestoneStatuses
+};
@@ -0,0 +1,271 @@
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { SEVERITY_LEVELS } = require('./alertRules');
+const { resolveSetting } = require('./settings');
+
+// Used when globalSettings.notifications.channels is not configured
+const DEFAULT_CHANNELS = [
+    { type: 'discord', webhookUrlEnv: 'DISCORD_WEBHOOK_URL' }
+];
+
+// How long a channel may take to deliver a message, unless its timeoutMs is set
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Shorten a text to the maximum length a channel accepts
+ */
+function truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Escape text for Telegram's HTML parse mode and Slack's mrkdwn,
+ * which both reserve &, < and >
+ */
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Render a message as plain text lines
+ */
+function toPlainText(message, bullet = '-') {
+    return [
+        message.title,
+        ...(message.lines || []).map(line => `${bullet} ${line}`),
+        ...(message.footer ? [`(${message.footer})`] : [])
+    ].join('\n');
+}
+
+/**
+ * Posts messages to a Discord webhook
+ */
+class DiscordChannel {
+    constructor(config) {
+        this.name = config.name || 'discord';
+        this.webhookUrl = resolveSetting(config, 'webhookUrl');
+        this.username = config.username || 'Catalyst Monitor Bot';
+    }
+
+    isConfigured() {
+        return Boolean(this.webhookUrl);
+    }
+
+    format(message) {
+        return { content: truncate(toPlainText(message), 2000), username: this.username };
+    }
+
+    async send(message) {
+        await axios.post(this.webhookUrl, this.format(message), { timeout: this.timeoutMs });
+    }
+}
+
+/**
+ * Posts messages to a Slack-compatible incoming webhook
+ */
+class SlackChannel {
+    constructor(config) {
+        this.name = config.name || 'slack';
+        this.webhookUrl = resolveSetting(config, 'webhookUrl');
+    }
+
+    isConfigured() {
+        return Boolean(this.webhookUrl);
+    }
+
+    format(message) {
+        const text = [
+            `*${escapeHtml(message.title)}*`,
+            ...(message.lines || []).map(line => `• ${escapeHtml(line)}`),
+            ...(message.footer ? [`_${escapeHtml(message.footer)}_`] : [])
+        ].join('\n');
+        return { text: truncate(text, 40000) };
+    }
+
+    async send(message) {
+        await axios.post(this.webhookUrl, this.format(message), { timeout: this.timeoutMs });
+    }
+}
+
+/**
+ * Sends messages through the Telegram bot API
+ */
+class TelegramChannel {
+    constructor(config) {
+        this.name = config.name || 'telegram';
+        this.botToken = resolveSetting(config, 'botToken');
+        this.chatId = resolveSetting(config, 'chatId');
+        this.apiBaseUrl = resolveSetting(config, 'apiBaseUrl') || 'https://api.telegram.org';
+    }
+
+    isConfigured() {
+        return Boolean(this.botToken && this.chatId);
+    }
+
+    format(message) {
+        const text = [
+            `<b>${escapeHtml(message.title)}</b>`,
+            ...(message.lines || []).map(line => `• ${escapeHtml(line)}`),
+            ...(message.footer ? [`<i>${escapeHtml(message.footer)}</i>`] : [])
+        ].join('\n');
+        return { chat_id: this.chatId, text: truncate(text, 4096), parse_mode: 'HTML' };
+    }
+
+    async send(message) {
+        await axios.post(`${this.apiBaseUrl}/bot${this.botToken}/sendMessage`, this.format(message), {
+            timeout: this.timeoutMs
+        });
+    }
+}
+
+/**
+ * Posts the structured message as JSON to any HTTP endpoint
+ */
+class WebhookChannel {
+    constructor(config) {
+        this.name = config.name || 'webhook';
+        this.url = resolveSetting(config, 'url');
+        this.headers = config.headers || {};
+    }
+
+    isConfigured() {
+        return Boolean(this.url);
+    }
+
+    format(message) {
+        return {
+            title: message.title,
+            lines: message.lines || [],
+            footer: message.footer || null,
+            severity: message.severity || 'info',
+            text: toPlainText(message),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    async send(message) {
+        await axios.post(this.url, this.format(message), { headers: this.headers, timeout: this.timeoutMs });
+    }
+}
+
+/**
+ * Sends messages by email over SMTP
+ */
+class EmailChannel {
+    constructor(config) {
+        this.name = config.name || 'email';
+        this.smtpUrl = resolveSetting(config, 'smtpUrl');
+        this.from = resolveSetting(config, 'from');
+        this.to = config.to || resolveSetting(config, 'to');
+        this.transport = null;
+    }
+
+    isConfigured() {
+        return Boolean(this.smtpUrl && this.from && this.to);
+    }
+
+    format(message) {
+        return {
+            from: this.from,
+            to: this.to,
+            subject: message.title,
+            text: toPlainText(message)
+        };
+    }
+
+    async send(message) {
+        if (!this.transport) {
+            this.transport = nodemailer.createTransport({
+                url: this.smtpUrl,
+                connectionTimeout: this.timeoutMs,
+                greetingTimeout: this.timeoutMs,
+                socketTimeout: this.timeoutMs
+            });
+        }
+        await this.transport.sendMail(this.format(message));
+    }
+}
+
+const CHANNEL_TYPES = {
+    discord: DiscordChannel,
+    slack: SlackChannel,
+    telegram: TelegramChannel,
+    webhook: WebhookChannel,
+    email: EmailChannel
+};
+
+/**
+ * Delivers run summaries to every configured notification channel.
+ * Channels are configured in globalSettings.notifications.channels; each
+ * channel formats the message for its target and failures are isolated so
+ * one unreachable channel does not stop the others.
+ */
+class NotificationService {
+    constructor() {
+        this.channels = null;
+    }
+
+    /**
+     * Build the channels from their configuration
+     *
+     * @param {Array<Object>} [channelConfigs] - Channel configurations (defaults to the Discord webhook)
+     */
+    configure(channelConfigs) {
+        const configs = channelConfigs && channelConfigs.length > 0 ? channelConfigs : DEFAULT_CHANNELS;
+
+        this.channels = configs
+            .filter(config => config.enabled !== false)
+            .map(config => {
+                const ChannelType = CHANNEL_TYPES[config.type];
+                if (!ChannelType) {
+                    throw new Error(`Unknown notification channel type: ${config.type}`);
+                }
+                const channel = new ChannelType(config);
+                channel.minSeverity = config.minSeverity || 'info';
+                channel.timeoutMs = config.timeoutMs || DEFAULT_TIMEOUT_MS;
+                return channel;
+            });
+    }
+
+    /**
+     * Send a message to every configured channel
+     *
+     * @param {Object} message - Message to send
+     * @param {string} message.title - First line / subject of the message
+     * @param {Array<string>} [message.lines] - Detail lines
+     * @param {string} [message.footer] - Short summary shown after the lines
+     * @param {string} [message.severity] - Message severity (info, warning, critical)
+     * @returns {Promise<Array<{channel: string, sent: boolean, error?: string}>>} - Delivery result per channel
+     */
+    async notify(message) {
+        if (!this.channels) this.configure();
+
+        const severityLevel = SEVERITY_LEVELS.indexOf(message.severity || 'info');
+
+        const results = [];
+        for (const channel of this.channels) {
+            if (severityLevel < SEVERITY_LEVELS.indexOf(channel.minSeverity)) {
+                continue;
+            }
+
+            if (!channel.isConfigured()) {
+                console.log(`Notification channel ${channel.name} is not configured. Skipping.`);
+                results.push({ channel: channel.name, sent: false });
+                continue;
+            }
+
+            try {
+                await channel.send(message);
+                console.log(`Notification sent via ${channel.name}`);
+                results.push({ channel: channel.name, sent: true });
+            } catch (error) {
+                console.error(`Error sending notification via ${channel.name}:`, error.message);
+                results.push({ channel: channel.name, sent: false, error: error.message });
+            }
+        }
+
+        return results;
+    }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,122 @@
+// scripts/payoutRules.js
+const { matchesWallet } = require('./walletAddresses');
+const { lovelaceToAda } = require('./ada');
+
+// Reproduces the original Catalyst filter: 674 messages mentioning
+// "fund" and "cohort" that are not tests
+const DEFAULT_PAYOUT_RULES = {
+  metadataLabels: ['674'],
+  keywords: ['fund', 'cohort'],
+  excludeKeywords: ['test'],
+  pattern: null,
+  excludePattern: null,
+  senders: [],
+  minAmount: 0
+};
+
+/**
+ * Merges the global payout rules with a project's own rules.
+ * Project settings replace the global ones key by key.
+ *
+ * @param {Object} projectConfig - Project entry from projects.json
+ * @param {Object} [globalSettings] - globalSettings from projects.json
+ * @returns {Object} - Effective payout rules for the project
+ */
+function resolvePayoutRules(projectConfig, globalSettings) {
+  return {
+    ...DEFAULT_PAYOUT_RULES,
+    ...(globalSettings?.payoutRules || {}),
+    ...(projectConfig?.payoutRules || {})
+  };
+}
+
+/**
+ * Collects every string inside a metadata value, so labels other than
+ * CIP-20 (674) can be matched regardless of their structure.
+ */
+function collectStrings(value) {
+  if (value === null || value === undefined) return [];
+  if (typeof value === 'string') return [value];
+  if (typeof value === 'number') return [String(value)];
+  if (Array.isArray(value)) return value.flatMap(collectStrings);
+  if (typeof value === 'object') return Object.values(value).flatMap(collectStrings);
+  return [];
+}
+
+/**
+ * Extracts the text of the configured metadata labels of a transaction.
+ * For CIP-20 (674) only the `msg` lines are used.
+ */
+function extractMetadataText(tx, labels) {
+  return labels
+    .flatMap(label => {
+      const value = tx?.metadata?.[label];
+      return String(label) === '674' && value?.msg ? collectStrings(value.msg) : collectStrings(value);
+    })
+    .join(' ');
+}
+
+/**
+ * Sums the ADA the wallet receives in a transaction.
+ */
+function receivedAmount(tx, wallet) {
+  return (tx.outputs || [])
+    .filter(output => matchesWallet(wallet, output.payment_addr?.bech32))
+    .reduce((sum, output) => sum + lovelaceToAda(output.value), 0);
+}
+
+/**
+ * Decides whether an incoming transaction counts as a payout.
+ *
+ * @param {Object} tx - Detailed transaction object (from tx_info)
+ * @param {string|Array<string>} wallet - The project wallet address, or every address of its account
+ * @param {Object} rules - Effective payout rules (from resolvePayoutRules)
+ * @returns {{included: boolean, reason: string}} - Decision and why it was made
+ */
+function evaluatePayout(tx, wallet, rules) {
+  const senders = rules.senders || [];
+  if (senders.length > 0) {
+    const inputAddresses = (tx.inputs || []).map(input => input.payment_addr?.bech32);
+    if (!inputAddresses.some(address => senders.includes(address))) {
+      return { included: false, reason: 'sender not in allow-list' };
+    }
+  }
+
+  const amount = receivedAmount(tx, wallet);
+  if (rules.minAmount && amount < rules.minAmount) {
+    return { included: false, reason: `amount ${amount} ADA below minimum ${rules.minAmount} ADA` };
+  }
+
+  const labels = (rules.metadataLabels || []).map(String);
+  const text = extractMetadataText(tx, labels);
+  const lowerText = text.toLowerCase();
+  const hasTextRules = (rules.keywords || []).length > 0 || rules.pattern;
+
+  if (hasTextRules && !text) {
+    return { included: false, reason: `no metadata under label(s) ${labels.join(', ')}` };
+  }
+
+  const excludedKeyword = (rules.excludeKeywords || []).find(keyword => lowerText.includes(keyword.toLowerCase()));
+  if (excludedKeyword) {
+    return { included: false, reason: `metadata contains excluded keyword "${excludedKeyword}"` };
+  }
+  if (rules.excludePattern && new RegExp(rules.excludePattern, 'i').test(text)) {
+    return { included: false, reason: `metadata matches excluded pattern /${rules.excludePattern}/` };
+  }
+
+  const missingKeyword = (rules.keywords || []).find(keyword => !lowerText.includes(keyword.toLowerCase()));
+  if (missingKeyword) {
+    return { included: false, reason: `metadata missing keyword "${missingKeyword}"` };
+  }
+  if (rules.pattern && !new RegExp(rules.pattern, 'i').test(text)) {
+    return { included: false, reason: `metadata does not match pattern /${rules.pattern}/` };
+  }
+
+  return { included: true, reason: hasTextRules ? `metadata matches: "${text}"` : 'matches payout rules' };
+}
+
+module.exports = {
+  DEFAULT_PAYOUT_RULES,
+  resolvePayoutRules,
+  evaluatePayout
+};
@@ -0,0 +1,113 @@
+const csvService = require('./csvService');
+const priceService = require('./priceService');
+const { datasetHeaders } = require('./datasets');
+
+const PRICE_HISTORY_FILE = 'price_history';
+const PRICE_HISTORY_HEADERS = datasetHeaders(PRICE_HISTORY_FILE);
+
+/**
+ * Local store of daily ADA prices in data/price_history.csv, one row per
+ * date and currency. Missing days are filled from the configured price
+ * providers or imported from a CSV (scripts/import-prices.js), so past
+ * transactions can be valued at the price of the day they happened.
+ * Changes are kept in memory until save() is called, so dry runs can use
+ * the store without writing to it.
+ */
+class PriceHistoryService {
+    constructor() {
+        this.prices = null;
+        this.changed = false;
+    }
+
+    /**
+     * Load the stored prices from disk
+     */
+    async load() {
+        if (this.prices) return;
+
+        const { records } = await csvService.readRecords(PRICE_HISTORY_FILE);
+
+        this.prices = new Map();
+        for (const record of records) {
+            if (!record.date || !(record.price > 0)) continue;
+            this.setPrice(record.date, record.currency, record.price, record.source);
+        }
+        this.changed = false;
+    }
+
+    /**
+     * Get the stored ADA price of a day
+     *
+     * @param {string} date - ISO date (YYYY-MM-DD)
+     * @param {string} currency - Quote currency, e.g. 'USD'
+     * @returns {number|null} - The price, or null if it is not stored
+     */
+    getPrice(date, currency) {
+        return this.prices?.get(`${date}|${currency.toUpperCase()}`)?.price ?? null;
+    }
+
+    /**
+     * Store the ADA price of a day
+     *
+     * @param {string} date - ISO date (YYYY-MM-DD)
+     * @param {string} currency - Quote currency, e.g. 'USD'
+     * @param {number} price - ADA price in the currency
+     * @param {string} source - Provider or import the price came from
+     * @param {Object} [options]
+     * @param {boolean} [options.overwrite] - Replace a price that is already stored
+     * @returns {boolean} - True if the price was stored
+     */
+    setPrice(date, currency, price, source, { overwrite = true } = {}) {
+        const key = `${date}|${currency.toUpperCase()}`;
+        if (!overwrite && this.prices.has(key)) return false;
+
+        this.prices.set(key, { date, currency: currency.toUpperCase(), price, source: source || '' });
+        this.changed = true;
+        return true;
+    }
+
+    /**
+     * Make sure prices are stored for the given days, fetching the missing
+     * ones from the price providers. Days that have not ended yet are
+     * skipped, since their price is not final.
+     *
+     * @param {Array<string>} dates - ISO dates (YYYY-MM-DD)
+     * @param {Array<string>} currencies - Quote currencies
+     */
+    async ensurePrices(dates, currencies) {
+        await this.load();
+
+        const today = new Date().toISOString().split('T')[0];
+        for (const date of [...new Set(dates)].filter(date => date < today).sort()) {
+            const missing = currencies.filter(currency => this.getPrice(date, currency) === null);
+            if (missing.length === 0) continue;
+
+            const prices = await priceService.fetchHistoricalPrices(date, missing);
+            for (const [currency, { price, provider }] of Object.entries(prices)) {
+                this.setPrice(date, currency, price, provider);
+            }
+
+            const unresolved = missing.filter(currency => !prices[currency]);
+            if (unresolved.length > 0) {
+                console.error(`No ADA price found for ${date} in ${unresolved.join(', ')}`);
+            }
+        }
+    }
+
+    /**
+     * Write the store to data/price_history.csv if it changed
+     */
+    async save() {
+        if (!this.prices || !this.changed) return;
+
+        const rows = [...this.prices.values()]
+            .sort((a, b) => a.date.localeCompare(b.date) || a.currency.localeCompare(b.currency))
+            .map(entry => [entry.date, entry.currency, entry.price, entry.source]);
+
+        await csvService.updateCsv(PRICE_HISTORY_FILE, rows, PRICE_HISTORY_HEADERS);
+        console.log(`Price history saved: ${rows.length} prices`);
+        this.changed = false;
+    }
+}
+
+module.exports = new PriceHistoryService();
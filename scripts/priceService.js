@@ -0,0 +1,274 @@
+const axios = require('axios');
+const { resolveSetting } = require('./settings');
+
+// Used when globalSettings.prices.providers is not configured
+const DEFAULT_PROVIDERS = [
+    { type: 'kraken' },
+    { type: 'coingecko' },
+    { type: 'coinbase' }
+];
+
+// Prices older than this are treated as missing
+const DEFAULT_MAX_AGE_MINUTES = 60;
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+/**
+ * Converts an ISO date (YYYY-MM-DD) to the Unix timestamp of its start (UTC)
+ */
+function toUnixDay(date) {
+    return Date.parse(`${date}T00:00:00Z`) / 1000;
+}
+
+/**
+ * Last trade from the Kraken public trades endpoint, with the time it was
+ * made; daily closes from the OHLC endpoint, which covers the last 720 days
+ */
+class KrakenPriceProvider {
+    constructor(config) {
+        this.name = config.name || 'kraken';
+        this.dailyCloses = new Map();
+    }
+
+    async fetchPrice(currency) {
+        const response = await axios.get('https://api.kraken.com/0/public/Trades', {
+            params: { pair: `ADA${currency}`, count: 1 },
+            timeout: REQUEST_TIMEOUT_MS
+        });
+        if (response.data.error?.length) {
+            throw new Error(response.data.error.join(', '));
+        }
+
+        // Trades are [price, volume, time, side, type, misc, id], keyed by pair name and oldest first
+        const trades = Object.entries(response.data.result || {})
+            .find(([key]) => key !== 'last')?.[1] || [];
+        const trade = trades[trades.length - 1];
+        return {
+            price: parseFloat(trade?.[0]),
+            timestamp: trade ? new Date(trade[2] * 1000) : null
+        };
+    }
+
+    async fetchHistoricalPrices(date, currencies) {
+        const prices = {};
+        for (const currency of currencies) {
+            if (!this.dailyCloses.has(currency)) {
+                const response = await axios.get('https://api.kraken.com/0/public/OHLC', {
+                    params: { pair: `ADA${currency}`, interval: 1440 },
+                    timeout: REQUEST_TIMEOUT_MS
+                });
+                if (response.data.error?.length) {
+                    throw new Error(response.data.error.join(', '));
+                }
+
+                // Candles are [time, open, high, low, close, vwap, volume, count], keyed by pair name
+                const candles = Object.entries(response.data.result || {})
+                    .find(([key]) => key !== 'last')?.[1] || [];
+                this.dailyCloses.set(currency, new Map(candles.map(candle => [candle[0], parseFloat(candle[4])])));
+            }
+
+            const close = this.dailyCloses.get(currency).get(toUnixDay(date));
+            if (close) prices[currency] = close;
+        }
+        return prices;
+    }
+}
+
+/**
+ * Aggregated price from CoinGecko, with the time it was last updated
+ */
+class CoinGeckoPriceProvider {
+    constructor(config) {
+        this.name = config.name || 'coingecko';
+        this.apiKey = resolveSetting(config, 'apiKey');
+    }
+
+    async fetchPrice(currency) {
+        const vsCurrency = currency.toLowerCase();
+        const response = await axios.get('https://api.coingecko.com/api/v3/simple/price', {
+            params: { ids: 'cardano', vs_currencies: vsCurrency, include_last_updated_at: true },
+            headers: this.apiKey ? { 'x-cg-demo-api-key': this.apiKey } : {},
+            timeout: REQUEST_TIMEOUT_MS
+        });
+
+        const cardano = response.data.cardano || {};
+        return {
+            price: parseFloat(cardano[vsCurrency]),
+            timestamp: cardano.last_updated_at ? new Date(cardano.last_updated_at * 1000) : null
+        };
+    }
+
+    async fetchHistoricalPrices(date, currencies) {
+        // The history endpoint expects DD-MM-YYYY and returns the price at 00:00 UTC in every currency
+        const [year, month, day] = date.split('-');
+        const response = await axios.get('https://api.coingecko.com/api/v3/coins/cardano/history', {
+            params: { date: `${day}-${month}-${year}`, localization: false },
+            headers: this.apiKey ? { 'x-cg-demo-api-key': this.apiKey } : {},
+            timeout: REQUEST_TIMEOUT_MS
+        });
+
+        const currentPrice = response.data.market_data?.current_price || {};
+        const prices = {};
+        for (const currency of currencies) {
+            const price = parseFloat(currentPrice[currency.toLowerCase()]);
+            if (price > 0) prices[currency] = price;
+        }
+        return prices;
+    }
+}
+
+/**
+ * Last trade from the Coinbase Exchange ticker, with the time it was made;
+ * daily spot prices from the Coinbase public API
+ */
+class CoinbasePriceProvider {
+    constructor(config) {
+        this.name = config.name || 'coinbase';
+    }
+
+    async fetchPrice(currency) {
+        const response = await axios.get(`https://api.exchange.coinbase.com/products/ADA-${currency}/ticker`, {
+            timeout: REQUEST_TIMEOUT_MS
+        });
+        return {
+            price: parseFloat(response.data.price),
+            timestamp: response.data.time ? new Date(response.data.time) : null
+        };
+    }
+
+    async fetchHistoricalPrices(date, currencies) {
+        const prices = {};
+        for (const currency of currencies) {
+            const response = await axios.get(`https://api.coinbase.com/v2/prices/ADA-${currency}/spot`, {
+                params: { date },
+                timeout: REQUEST_TIMEOUT_MS
+            });
+            const price = parseFloat(response.data.data?.amount);
+            if (price > 0) prices[currency] = price;
+        }
+        return prices;
+    }
+}
+
+const PROVIDER_TYPES = {
+    kraken: KrakenPriceProvider,
+    coingecko: CoinGeckoPriceProvider,
+    coinbase: CoinbasePriceProvider
+};
+
+/**
+ * Looks up the current ADA price through the configured providers.
+ * Providers are configured in globalSettings.prices.providers and tried in
+ * order until one returns a positive price that is not older than
+ * maxAgeMinutes; a price without a timestamp has an unknown age and is not
+ * accepted. When none does, the price is reported as missing (null)
+ * so fiat values are left empty instead of showing zero.
+ */
+class PriceService {
+    constructor() {
+        this.providers = null;
+        this.maxAgeMinutes = DEFAULT_MAX_AGE_MINUTES;
+        this.prices = new Map();
+    }
+
+    /**
+     * Build the providers from their configuration
+     *
+     * @param {Object} [settings] - globalSettings.prices
+     * @param {Array<Object>} [settings.providers] - Provider configurations, in fallback order
+     * @param {number} [settings.maxAgeMinutes] - Maximum age of an accepted price
+     */
+    configure(settings = {}) {
+        const configs = settings.providers && settings.providers.length > 0 ? settings.providers : DEFAULT_PROVIDERS;
+
+        this.providers = configs
+            .filter(config => config.enabled !== false)
+            .map(config => {
+                const ProviderType = PROVIDER_TYPES[config.type];
+                if (!ProviderType) {
+                    throw new Error(`Unknown price provider type: ${config.type}`);
+                }
+                return new ProviderType(config);
+            });
+        this.maxAgeMinutes = settings.maxAgeMinutes ?? DEFAULT_MAX_AGE_MINUTES;
+        this.prices.clear();
+    }
+
+    /**
+     * Fetch the current ADA price in a currency from the first provider with a fresh price.
+     * Prices are fetched once per currency and run.
+     *
+     * @param {string} [currency] - Quote currency, e.g. 'USD'
+     * @returns {Promise<{price: number|null, provider: string|null, timestamp: Date|null}>} - Price, or null when missing or stale
+     */
+    async fetchPrice(currency = 'USD') {
+        if (!this.providers) this.configure();
+        if (this.prices.has(currency)) return this.prices.get(currency);
+
+        let result = { price: null, provider: null, timestamp: null };
+        for (const provider of this.providers) {
+            try {
+                const { price, timestamp } = await provider.fetchPrice(currency);
+                if (!Number.isFinite(price) || price <= 0) {
+                    console.error(`Price provider ${provider.name} returned no ADA/${currency} price`);
+                    continue;
+                }
+
+                if (!timestamp || Number.isNaN(timestamp.getTime())) {
+                    console.error(`Price provider ${provider.name} returned no time for its ADA/${currency} price, ignoring it`);
+                    continue;
+                }
+
+                const ageMinutes = (Date.now() - timestamp.getTime()) / 60000;
+                if (ageMinutes > this.maxAgeMinutes) {
+                    console.error(`Price provider ${provider.name} ADA/${currency} price is ${Math.round(ageMinutes)} minutes old, ignoring it`);
+                    continue;
+                }
+
+                result = { price, provider: provider.name, timestamp };
+                break;
+            } catch (error) {
+                console.error(`Price provider ${provider.name} failed for ADA/${currency}:`, error.message);
+            }
+        }
+
+        if (result.price === null) {
+            console.error(`No price provider could deliver a fresh ADA/${currency} price`);
+        }
+        this.prices.set(currency, result);
+        return result;
+    }
+
+    /**
+     * Fetch the ADA price of a past day in several currencies. Providers are
+     * asked in order for the currencies still missing; currencies no provider
+     * knows are left out of the result.
+     *
+     * @param {string} date - ISO date (YYYY-MM-DD)
+     * @param {Array<string>} currencies - Quote currencies, e.g. ['USD', 'EUR']
+     * @returns {Promise<Object<string, {price: number, provider: string}>>} - Prices keyed by currency
+     */
+    async fetchHistoricalPrices(date, currencies) {
+        if (!this.providers) this.configure();
+
+        const result = {};
+        for (const provider of this.providers) {
+            const missing = currencies.filter(currency => !result[currency]);
+            if (missing.length === 0) break;
+            if (!provider.fetchHistoricalPrices) continue;
+
+            try {
+                const prices = await provider.fetchHistoricalPrices(date, missing);
+                for (const [currency, price] of Object.entries(prices)) {
+                    result[currency] = { price, provider: provider.name };
+                }
+            } catch (error) {
+                console.error(`Price provider ${provider.name} failed for ADA prices on ${date}:`, error.message);
+            }
+        }
+
+        return result;
+    }
+}
+
+module.exports = new PriceService();
@@ -0,0 +1,179 @@
+// scripts/query.js
+const databaseService = require('./databaseService');
+
+// Load project config
+const projectsConfig = require('../src/config/projects.json');
+
+// Ready-made reports over the database kept by the sync
+const REPORTS = {
+  projects: {
+    description: 'Budget, distributed, received and milestone progress per project',
+    sql: `
+      SELECT p.project_id, p.title, p.budget, p.funds_distributed, ROUND(p.total_received, 2) AS received,
+        p.budget - p.total_received AS remaining,
+        SUM(m.status = 'paid') || '/' || COUNT(m.milestone) AS milestones_paid,
+        p.wallet_balance
+      FROM projects p
+      LEFT JOIN milestones m ON m.project_id = p.project_id
+      WHERE (?1 IS NULL OR p.project_id = ?1)
+      GROUP BY p.project_id
+      ORDER BY p.project_id`
+  },
+  milestones: {
+    description: 'Milestones with their status, due date and payment',
+    sql: `
+      SELECT m.project_id, p.title, m.milestone, m.cost, m.status, m.due_date, m.paid_amount, m.paid_date
+      FROM milestones m
+      JOIN projects p ON p.project_id = m.project_id
+      WHERE (?1 IS NULL OR m.project_id = ?1)
+      ORDER BY m.project_id, m.milestone`
+  },
+  'unpaid-milestones': {
+    description: 'Milestones with a signed-off PoA that have not been paid in full',
+    sql: `
+      SELECT m.project_id, p.title, m.milestone, m.cost, m.paid_amount, m.approved_date, m.due_date
+      FROM milestones m
+      JOIN projects p ON p.project_id = m.project_id
+      WHERE m.approved_unpaid = 1 AND (?1 IS NULL OR m.project_id = ?1)
+      ORDER BY m.approved_date, m.project_id, m.milestone`
+  },
+  'overdue-milestones': {
+    description: 'Milestones past their due date without PoA sign-off',
+    sql: `
+      SELECT m.project_id, p.title, m.milestone, m.due_date,
+        CAST(julianday('now') - julianday(m.due_date) AS INTEGER) AS days_late, m.completion
+      FROM milestones m
+      JOIN projects p ON p.project_id = m.project_id
+      WHERE m.status = 'overdue' AND (?1 IS NULL OR m.project_id = ?1)
+      ORDER BY m.due_date`
+  },
+  payouts: {
+    description: 'Incoming payouts with the milestones they were matched to',
+    sql: `
+      SELECT t.date, t.project_id, p.title, t.amount, t.tx_hash,
+        (SELECT GROUP_CONCAT(m.milestone, ', ') FROM milestones m
+          WHERE m.project_id = t.project_id AND m.paid_tx_hash LIKE '%' || t.tx_hash || '%') AS milestones
+      FROM transactions t
+      JOIN projects p ON p.project_id = t.project_id
+      WHERE t.direction = 'incoming' AND (?1 IS NULL OR t.project_id = ?1)
+      ORDER BY t.date`
+  },
+  spending: {
+    description: 'ADA sent and fees paid per project and month',
+    sql: `
+      SELECT t.project_id, p.title, SUBSTR(t.date, 1, 7) AS month, COUNT(*) AS transactions,
+        ROUND(SUM(t.amount), 2) AS sent, ROUND(SUM(t.fee), 6) AS fees
+      FROM transactions t
+      JOIN projects p ON p.project_id = t.project_id
+      WHERE t.direction = 'outgoing' AND (?1 IS NULL OR t.project_id = ?1)
+      GROUP BY t.project_id, month
+      ORDER BY t.project_id, month`
+  },
+  collaborators: {
+    description: 'Collaborator allocations, payments and what is outstanding or overdue',
+    sql: `
+      SELECT c.project_id, p.title, c.name, c.total_amount, c.paid_to_date, c.outstanding, c.overdue
+      FROM collaborators c
+      JOIN projects p ON p.project_id = c.project_id
+      WHERE (?1 IS NULL OR c.project_id = ?1)
+      ORDER BY c.overdue DESC, c.project_id, c.name`
+  },
+  organizations: {
+    description: 'Organization balances, runway and staking rewards',
+    sql: `
+      SELECT name, wallet_balance_ada, wallet_balance_usd, months_with_real_budget, months_with_max_budget,
+        accumulated_rewards, withdrawn_rewards
+      FROM organizations
+      ORDER BY name`
+  },
+  runs: {
+    description: 'The last 20 sync runs',
+    sql: `
+      SELECT id, started_at, finished_at, status, projects_processed, projects_failed, failed_project_ids, changes, alerts
+      FROM sync_runs
+      ORDER BY id DESC
+      LIMIT 20`
+  }
+};
+
+const USAGE = `Usage: node scripts/query.js <report> [--project <id>] [--json]
+       node scripts/query.js --sql "<SELECT ...>" [--json]
+
+Reports:
+${Object.entries(REPORTS).map(([name, report]) => `  ${name.padEnd(20)}${report.description}`).join('\n')}
+
+The database is opened read-only; run the sync first to create it.`;
+
+/**
+ * Parses command line arguments.
+ */
+function parseArgs(argv) {
+  const options = { report: null, project: null, sql: null, json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--project') {
+      options.project = argv[++i];
+    } else if (arg === '--sql') {
+      options.sql = argv[++i];
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (!arg.startsWith('--') && !options.report) {
+      options.report = arg;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Runs a ready-made report, or an ad-hoc read-only query, against the
+ * SQLite database maintained by the sync and prints the rows.
+ */
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help || (!options.report && !options.sql)) {
+    console.log(USAGE);
+    if (!options.help) process.exitCode = 1;
+    return;
+  }
+
+  const report = options.report && REPORTS[options.report];
+  if (options.report && !report) {
+    throw new Error(`Unknown report: ${options.report}\n\n${USAGE}`);
+  }
+
+  databaseService.configure(projectsConfig.globalSettings?.database);
+  try {
+    // Reports that can be narrowed to one project take it as parameter ?1
+    const rows = options.sql
+      ? databaseService.query(options.sql)
+      : databaseService.query(report.sql, report.sql.includes('?1') ? [options.project ?? null] : []);
+
+    if (options.json) {
+      process.stdout.write(`${JSON.stringify(rows, null, 2)}\n`);
+    } else if (rows.length === 0) {
+      console.log('No rows');
+    } else {
+      console.table(rows);
+    }
+  } finally {
+    databaseService.close();
+  }
+}
+
+// Execute main function
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`Query failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { REPORTS, main };
@@ -0,0 +1,115 @@
+// scripts/reconciliation.js
+const { isMilestoneApproved } = require('./milestonePayouts');
+
+// Differences up to this many ADA are treated as rounding
+const AMOUNT_TOLERANCE = 1;
+
+/**
+ * Rounds an ADA amount to 6 decimals for reporting.
+ */
+function roundAda(amount) {
+  return Number(amount.toFixed(6));
+}
+
+/**
+ * Lists the transaction hashes that appear more than once.
+ */
+function findDuplicateHashes(hashes) {
+  const seen = new Set();
+  const duplicates = new Set();
+  for (const hash of hashes) {
+    if (seen.has(hash)) duplicates.add(hash);
+    seen.add(hash);
+  }
+  return [...duplicates];
+}
+
+/**
+ * Compares what Catalyst reports as distributed with what the project
+ * wallet received on-chain and with the cost of its approved milestones.
+ *
+ * @param {Object} project - Processed project (from processProject)
+ * @returns {Object} - Reconciled amounts, duplicate and out-of-range receipts and issues found
+ */
+function reconcileProject(project) {
+  const { projectId, proposal, transactions, milestones, outOfRangeReceipts = [] } = project;
+  const budget = Number(proposal.budget) || 0;
+  const fundsDistributed = Number(proposal.funds_distributed) || 0;
+  const totalReceived = transactions.reduce((sum, tx) => sum + tx.amount, 0);
+  const approvedMilestoneCosts = milestones
+    .filter(isMilestoneApproved)
+    .reduce((sum, milestone) => sum + (Number(milestone.cost) || 0), 0);
+  const duplicateTxHashes = findDuplicateHashes(transactions.map(tx => tx.txHash));
+
+  const issues = [];
+  if (Math.abs(fundsDistributed - totalReceived) > AMOUNT_TOLERANCE) {
+    issues.push(`Catalyst reports ${fundsDistributed} ADA distributed, ${roundAda(totalReceived)} ADA received on-chain`);
+  }
+  if (totalReceived < approvedMilestoneCosts - AMOUNT_TOLERANCE) {
+    issues.push(`${roundAda(totalReceived)} ADA received for ${approvedMilestoneCosts} ADA of approved milestones`);
+  }
+  if (fundsDistributed < approvedMilestoneCosts - AMOUNT_TOLERANCE) {
+    issues.push(`Catalyst reports ${fundsDistributed} ADA distributed for ${approvedMilestoneCosts} ADA of approved milestones`);
+  }
+  if (totalReceived > budget + AMOUNT_TOLERANCE) {
+    issues.push(`${roundAda(totalReceived)} ADA received, more than the budget of ${budget} ADA`);
+  }
+  if (duplicateTxHashes.length > 0) {
+    issues.push(`duplicate payout transaction(s) ${duplicateTxHashes.join(', ')}`);
+  }
+  if (outOfRangeReceipts.length > 0) {
+    issues.push(
+      `${outOfRangeReceipts.length} payout(s) outside dateRanges: ` +
+      outOfRangeReceipts.map(tx => `${tx.txHash} (${tx.date}, ${roundAda(tx.amount)} ADA)`).join(', ')
+    );
+  }
+
+  return {
+    projectId,
+    title: proposal.title,
+    budget,
+    fundsDistributed,
+    totalReceived: roundAda(totalReceived),
+    approvedMilestoneCosts,
+    distributedMinusReceived: roundAda(fundsDistributed - totalReceived),
+    duplicateTxHashes,
+    outOfRangeReceipts,
+    issues
+  };
+}
+
+/**
+ * Reconciles every processed project. A payout counted by more than one
+ * project (e.g. projects sharing a wallet) is flagged on each of them.
+ *
+ * @param {Array<Object>} projects - Processed projects (from processProject)
+ * @returns {Array<Object>} - One reconciliation per project (see reconcileProject)
+ */
+function reconcileProjects(projects) {
+  const reconciliations = projects.map(reconcileProject);
+
+  const projectsByTx = new Map();
+  for (const project of projects) {
+    for (const txHash of new Set(project.transactions.map(tx => tx.txHash))) {
+      projectsByTx.set(txHash, [...(projectsByTx.get(txHash) || []), project.projectId]);
+    }
+  }
+
+  for (const reconciliation of reconciliations) {
+    const shared = [...projectsByTx.entries()].filter(([, projectIds]) =>
+      projectIds.length > 1 && projectIds.includes(reconciliation.projectId)
+    );
+    for (const [txHash, projectIds] of shared) {
+      if (!reconciliation.duplicateTxHashes.includes(txHash)) reconciliation.duplicateTxHashes.push(txHash);
+      const others = projectIds.filter(projectId => projectId !== reconciliation.projectId);
+      reconciliation.issues.push(`payout ${txHash} is also counted by project(s) ${others.join(', ')}`);
+    }
+  }
+
+  return reconciliations;
+}
+
+module.exports = {
+  reconcileProject,
+  reconcileProjects
+};
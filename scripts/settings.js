@@ -0,0 +1,22 @@
+// scripts/settings.js
+
+/**
+ * Resolve a setting of a configured provider, channel or sink that can be
+ * given directly or through an environment variable, e.g. `apiKey` or
+ * `apiKeyEnv`. Secrets should always use the `...Env` form since
+ * projects.json is committed.
+ *
+ * @param {Object} config - Provider, channel or sink configuration
+ * @param {string} key - Setting name
+ * @param {string} [defaultEnv] - Environment variable used when neither form is configured
+ * @returns {string|undefined} - The resolved value
+ */
+function resolveSetting(config, key, defaultEnv) {
+  if (config[key]) return config[key];
+  const envName = config[`${key}Env`] || defaultEnv;
+  return envName ? process.env[envName] : undefined;
+}
+
+module.exports = {
+  resolveSetting
+};
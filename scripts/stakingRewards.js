@@ -0,0 +1,81 @@
+// scripts/stakingRewards.js
+const { fetchAccountRewards, fetchAccountWithdrawals } = require('./koiosWrapper');
+const { isStakeAddress } = require('./walletAddresses');
+const { lovelaceToAda } = require('./ada');
+
+// Mainnet Shelley epochs: epoch 208 started at this Unix time, each lasts 5 days
+const SHELLEY_START_EPOCH = 208;
+const SHELLEY_START_TIME = 1596059091;
+const EPOCH_LENGTH_SECONDS = 5 * 24 * 60 * 60;
+
+/**
+ * Returns the ISO date (YYYY-MM-DD) on which a mainnet epoch started.
+ */
+function epochStartDate(epoch) {
+  const timestamp = SHELLEY_START_TIME + (Number(epoch) - SHELLEY_START_EPOCH) * EPOCH_LENGTH_SECONDS;
+  return new Date(timestamp * 1000).toISOString().split('T')[0];
+}
+
+/**
+ * Collects the reward history and withdrawals of an organization wallet.
+ * Rewards are dated by the epoch in which they became spendable, withdrawals
+ * by their block time. Organizations whose wallet is not a stake address
+ * have no rewards and return null.
+ *
+ * @param {Object} organization - Organization from globalSettings.organizations
+ * @returns {Promise<Object|null>} - { organization, stakeAddress, entries, accumulatedRewards, withdrawnRewards, availableRewards }
+ */
+async function collectStakingRewards(organization) {
+  if (!isStakeAddress(organization.wallet)) return null;
+
+  const stakeAddress = organization.wallet;
+  const [rewards, withdrawals] = await Promise.all([
+    fetchAccountRewards(stakeAddress),
+    fetchAccountWithdrawals(stakeAddress)
+  ]);
+
+  const entries = [
+    ...rewards.map(reward => {
+      const spendableEpoch = reward.spendable_epoch ?? Number(reward.earned_epoch) + 2;
+      return {
+        type: reward.type || 'member',
+        epoch: Number(reward.earned_epoch),
+        date: epochStartDate(spendableEpoch),
+        amount: lovelaceToAda(reward.amount),
+        poolId: reward.pool_id_bech32 || reward.pool_id || '',
+        txHash: ''
+      };
+    }),
+    ...withdrawals.map(withdrawal => ({
+      type: 'withdrawal',
+      epoch: withdrawal.epoch_no ?? null,
+      date: withdrawal.block_time
+        ? new Date(withdrawal.block_time * 1000).toISOString().split('T')[0]
+        : epochStartDate(withdrawal.epoch_no),
+      amount: lovelaceToAda(withdrawal.amount),
+      poolId: '',
+      txHash: withdrawal.tx_hash || ''
+    }))
+  ].sort((a, b) => a.date.localeCompare(b.date) || (a.epoch || 0) - (b.epoch || 0));
+
+  const accumulatedRewards = entries
+    .filter(entry => entry.type !== 'withdrawal')
+    .reduce((sum, entry) => sum + entry.amount, 0);
+  const withdrawnRewards = entries
+    .filter(entry => entry.type === 'withdrawal')
+    .reduce((sum, entry) => sum + entry.amount, 0);
+
+  return {
+    organization: organization.name,
+    stakeAddress,
+    entries,
+    accumulatedRewards,
+    withdrawnRewards,
+    availableRewards: accumulatedRewards - withdrawnRewards
+  };
+}
+
+module.exports = {
+  epochStartDate,
+  collectStakingRewards
+};
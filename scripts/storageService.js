@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+const csvService = require('./csvService');
+const { resolveSetting } = require('./settings');
+
+const REPO_ROOT = path.join(__dirname, '..');
+
+// Used when globalSettings.storage.sinks is not configured
+const DEFAULT_SINKS = [
+    { type: 'csv', required: true }
+];
+
+/**
+ * Resolve a configured path relative to the repository root
+ */
+function resolvePath(value) {
+    return path.isAbsolute(value) ? value : path.join(REPO_ROOT, value);
+}
+
+/**
+ * Turn rows into objects keyed by their column headers
+ */
+function toRecords(headers, rows) {
+    return rows.map(row => Object.fromEntries(headers.map((header, index) => [header, row[index] ?? null])));
+}
+
+/**
+ * Writes each dataset to data/<dataset>.csv, with the headers as first row
+ */
+class CsvSink {
+    constructor(config) {
+        this.name = config.name || 'csv';
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async write(dataset, headers, rows) {
+        await csvService.updateCsv(dataset, rows, headers);
+    }
+}
+
+/**
+ * Writes each dataset to <directory>/<dataset>.json as an array of
+ * objects keyed by column header
+ */
+class JsonSink {
+    constructor(config) {
+        this.name = config.name || 'json';
+        this.directory = resolvePath(config.directory || 'data/json');
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async write(dataset, headers, rows) {
+        fs.mkdirSync(this.directory, { recursive: true });
+        const filePath = path.join(this.directory, `${dataset}.json`);
+        fs.writeFileSync(filePath, `${JSON.stringify(toRecords(headers, rows), null, 2)}\n`);
+        console.log(`JSON file updated: ${filePath}`);
+    }
+}
+
+/**
+ * Writes each dataset to a sheet of the same name in a Google
+ * Spreadsheet, creating missing sheets and replacing their contents
+ */
+class GoogleSheetsSink {
+    constructor(config) {
+        this.name = config.name || 'googleSheets';
+        this.spreadsheetId = resolveSetting(config, 'spreadsheetId', 'GOOGLE_SHEET_ID');
+    }
+
+    isConfigured() {
+        const hasCredentials = Boolean(
+            process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON ||
+            process.env.GOOGLE_SERVICE_ACCOUNT ||
+            process.env.GOOGLE_SERVICE_ACCOUNT_FILE
+        );
+        return Boolean(this.spreadsheetId) && hasCredentials;
+    }
+
+    async write(dataset, headers, rows) {
+        // Loaded on first use, so runs without this sink do not load the Google APIs
+        if (!this.sheets) {
+            this.sheets = require('./googleSheetsService');
+            this.sheets.spreadsheetId = this.spreadsheetId;
+        }
+        await this.sheets.writeSheet(dataset, headers, rows);
+    }
+}
+
+/**
+ * Writes each dataset to a table of the same name in a SQLite database,
+ * recreating the table so its columns follow the dataset headers.
+ * Uses the SQLite module built into Node.js 22.5 and later.
+ */
+class SqliteSink {
+    constructor(config) {
+        this.name = config.name || 'sqlite';
+        this.path = resolvePath(config.path || 'data/datasets.db');
+        this.db = null;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    open() {
+        if (this.db) return this.db;
+
+        let DatabaseSync;
+        try {
+            ({ DatabaseSync } = require('node:sqlite'));
+        } catch {
+            throw new Error(`The SQLite sink needs Node.js 22.5 or later (running ${process.version})`);
+        }
+
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+        this.db = new DatabaseSync(this.path);
+        return this.db;
+    }
+
+    async write(dataset, headers, rows) {
+        const db = this.open();
+        const quote = identifier => `"${String(identifier).replace(/"/g, '""')}"`;
+        const toValue = value => {
+            if (value === null || value === undefined) return null;
+            if (typeof value === 'boolean') return value ? 1 : 0;
+            return typeof value === 'number' ? value : String(value);
+        };
+
+        db.exec('BEGIN');
+        try {
+            db.exec(`DROP TABLE IF EXISTS ${quote(dataset)}`);
+            db.exec(`CREATE TABLE ${quote(dataset)} (${headers.map(quote).join(', ')})`);
+            const insert = db.prepare(
+                `INSERT INTO ${quote(dataset)} VALUES (${headers.map(() => '?').join(', ')})`
+            );
+            for (const row of rows) {
+                insert.run(...headers.map((header, index) => toValue(row[index])));
+            }
+            db.exec('COMMIT');
+        } catch (error) {
+            db.exec('ROLLBACK');
+            throw error;
+        }
+
+        console.log(`SQLite table updated: ${dataset} (${this.path})`);
+    }
+
+    async close() {
+        this.db?.close();
+        this.db = null;
+    }
+}
+
+const SINK_TYPES = {
+    csv: CsvSink,
+    json: JsonSink,
+    googleSheets: GoogleSheetsSink,
+    sqlite: SqliteSink
+};
+
+/**
+ * Writes the datasets of a run to every configured storage sink.
+ * Sinks are configured in globalSettings.storage.sinks. Failures are
+ * isolated: a sink that fails is skipped for the rest of the run while
+ * the others keep writing, and only a failing `required` sink stops the run.
+ */
+class StorageService {
+    constructor() {
+        this.sinks = null;
+        this.failures = [];
+    }
+
+    /**
+     * Build the sinks from their configuration
+     *
+     * @param {Array<Object>} [sinkConfigs] - Sink configurations (defaults to the CSV files)
+     */
+    configure(sinkConfigs) {
+        const configs = sinkConfigs && sinkConfigs.length > 0 ? sinkConfigs : DEFAULT_SINKS;
+
+        this.sinks = configs
+            .filter(config => config.enabled !== false)
+            .map(config => {
+                const SinkType = SINK_TYPES[config.type];
+                if (!SinkType) {
+                    throw new Error(`Unknown storage sink type: ${config.type}`);
+                }
+                const sink = new SinkType(config);
+                sink.required = Boolean(config.required);
+                return sink;
+            });
+        this.failures = [];
+    }
+
+    /**
+     * Write a dataset to every sink that has not failed during this run
+     *
+     * @param {string} dataset - Dataset name, e.g. milestones
+     * @param {Array<string>} headers - Column headers
+     * @param {Array<Array<any>>} rows - 2D array of values
+     * @returns {Promise<Array<{sink: string, written: boolean, error?: string}>>} - Result per sink
+     */
+    async writeDataset(dataset, headers, rows) {
+        if (!this.sinks) this.configure();
+
+        const results = [];
+        for (const sink of this.sinks) {
+            if (this.failures.some(failure => failure.sink === sink.name)) {
+                results.push({ sink: sink.name, written: false });
+                continue;
+            }
+
+            if (!sink.isConfigured()) {
+                console.log(`Storage sink ${sink.name} is not configured. Skipping.`);
+                results.push({ sink: sink.name, written: false });
+                continue;
+            }
+
+            try {
+                await sink.write(dataset, headers, rows);
+                results.push({ sink: sink.name, written: true });
+            } catch (error) {
+                console.error(`Error writing ${dataset} to storage sink ${sink.name}:`, error.message);
+                this.failures.push({ sink: sink.name, dataset, required: sink.required, error: error.message });
+                results.push({ sink: sink.name, written: false, error: error.message });
+            }
+        }
+
+        const requiredFailure = this.failures.find(failure => failure.required && failure.dataset === dataset);
+        if (requiredFailure) {
+            throw new Error(`Required storage sink ${requiredFailure.sink} failed on ${dataset}: ${requiredFailure.error}`);
+        }
+
+        return results;
+    }
+
+    /**
+     * Close the sinks and return the failures of this run
+     *
+     * @returns {Promise<Array<{sink: string, dataset: string, error: string}>>} - Sinks that failed, with the dataset they failed on
+     */
+    async finish() {
+        for (const sink of this.sinks || []) {
+            try {
+                await sink.close?.();
+            } catch (error) {
+                console.error(`Error closing storage sink ${sink.name}:`, error.message);
+            }
+        }
+
+        const failures = this.failures;
+        this.failures = [];
+        return failures;
+    }
+}
+
+module.exports = new StorageService();
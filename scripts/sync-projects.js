@@ -1,191 +1,42 @@
 // scripts/sync-projects.js
-const { createClient } = require('@supabase/supabase-js');
-const axios = require('axios');
-const { fetchWalletTransactions } = require('./koiosWrapper');
+const { parseArgs } = require('util');
+const {
+  fetchWalletHistory,
+  fetchWalletAssets,
+  filterIncomingTransactions,
+  isIncomingTransaction,
+  isOutgoingTransaction,
+  isWithinDateRange
+} = require('./koiosWrapper');
 const csvService = require('./csvService');
-const { WebhookClient } = require('discord.js');
+const { datasetHeaders } = require('./datasets');
+const historyService = require('./historyService');
+const { loadPreviousData, detectChanges } = require('./changeDetector');
+const { evaluateAlertRules, highestSeverity } = require('./alertRules');
+const notificationService = require('./notificationService');
+const storageService = require('./storageService');
+const databaseService = require('./databaseService');
+const txCacheService = require('./txCacheService');
+const koiosClient = require('./koiosClient');
+const { DEFAULT_PAYOUT_RULES, resolvePayoutRules, evaluatePayout } = require('./payoutRules');
+const { matchesWallet, resolveWalletAddresses } = require('./walletAddresses');
+const balanceService = require('./balanceService');
+const priceService = require('./priceService');
+const priceHistoryService = require('./priceHistoryService');
+const { collectStakingRewards } = require('./stakingRewards');
+const { assertValidConfig, validateCollaboratorBudget, formatErrors } = require('./configValidator');
+const { addAssets, sumOutputAssets, mergeAssets, describeAssets, formatAssets } = require('./assets');
+const { lovelaceToAda } = require('./ada');
+const { getProposalDetails, fetchMilestoneData, fetchSnapshotData } = require('./catalystApi');
+const { matchMilestonePayouts } = require('./milestonePayouts');
+const { deriveMilestoneStatuses } = require('./milestoneStatus');
+const { reconcileProjects } = require('./reconciliation');
 
 // Load project config
 const projectsConfig = require('../src/config/projects.json');
 
-/**
- * Fetches the wallet balance in ADA
- * @param {string} walletAddress - The wallet address to check
- * @returns {Promise<number>} - The wallet balance in ADA
- */
-async function fetchWalletBalance(walletAddress) {
-  if (!walletAddress) {
-    console.log('Wallet address not provided');
-    return 0;
-  }
-  try {
-    const response = await axios.get(`https://pool.pm/wallet/${walletAddress}?preview=true`);
-    console.log('Pool.pm API Response:', response.data);
-    if (response.data && typeof response.data.lovelaces === 'number') {
-      return response.data.lovelaces / 1000000; // Convert lovelaces to ADA
-    } else {
-      console.log('Unexpected API response structure:', response.data);
-      return 0;
-    }
-  } catch (error) {
-    console.error('Error fetching wallet balance:', error);
-    return 0;
-  }
-}
-
-/**
- * Fetches the current ADA/USD exchange rate
- * @returns {Promise<number>} - The current ADA/USD exchange rate
- */
-async function fetchAdaExchangeRate() {
-  try {
-    const response = await axios.get('https://api.kraken.com/0/public/Ticker?pair=ADAUSD');
-    console.log('Kraken API Response:', response.data);
-    if (response.data.result && response.data.result.ADAUSD) {
-      return parseFloat(response.data.result.ADAUSD.c[0]);
-    }
-  } catch (error) {
-    console.error('Error fetching from Kraken:', error);
-  }
-  return 0;
-}
-
 // Initialize constants
 const MILESTONES_BASE_URL = process.env.NEXT_PUBLIC_MILESTONES_URL || 'https://milestones.projectcatalyst.io';
-console.log('Environment check:');
-console.log('- MILESTONES_BASE_URL:', MILESTONES_BASE_URL);
-console.log('- URL type:', typeof MILESTONES_BASE_URL);
-console.log('- URL length:', MILESTONES_BASE_URL.length);
-const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL2;
-const supabaseKey = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY2;
-const supabase = createClient(supabaseUrl, supabaseKey);
-
-/**
- * Retrieves proposal details.
- */
-async function getProposalDetails(projectId) {
-  console.log(`Getting proposal details for project ${projectId}`);
-
-  const { data, error } = await supabase
-    .from('proposals')
-    .select(`
-      id,
-      title,
-      budget,
-      milestones_qty,
-      funds_distributed,
-      project_id
-    `)
-    .eq('project_id', projectId)
-    .single();
-
-  if (error) {
-    console.error(`Error fetching proposal details for project ${projectId}:`, error);
-    return null;
-  }
-
-  return data;
-}
-
-/**
- * Retrieves the proposal ID from Supabase.
- */
-async function getProposalId(projectId) {
-  console.log(`Getting proposal ID for project ${projectId}`);
-
-  const { data, error } = await supabase
-    .from('proposals')
-    .select('id')
-    .eq('project_id', projectId)
-    .single();
-
-  if (error) {
-    console.error('Error fetching proposal ID:', error);
-    throw error;
-  }
-
-  console.log(`Found proposal ID ${data?.id} for project ${projectId}`);
-  return data?.id;
-}
-
-/**
- * Fetches milestone data using Supabase.
- */
-async function fetchMilestoneData(projectId, milestone) {
-  const proposalId = await getProposalId(projectId);
-  console.log(`Fetching milestone data for proposal ${proposalId}, milestone ${milestone}`);
-
-  const { data, error } = await supabase
-    .from('soms')
-    .select(`
-      month,
-      cost,
-      completion,
-      som_reviews!inner(
-        outputs_approves,
-        success_criteria_approves,
-        evidence_approves,
-        current
-      ),
-      poas!inner(
-        poas_reviews!inner(
-          content_approved,
-          current
-        ),
-        signoffs(created_at)
-      )
-    `)
-    .eq('proposal_id', proposalId)
-    .eq('milestone', milestone)
-    .eq('som_reviews.current', true)
-    .eq('poas.poas_reviews.current', true)
-    .order('created_at', { ascending: false })
-    .limit(1);
-
-  if (error) {
-    console.error('Error fetching milestone data:', error);
-    throw error;
-  }
-
-  if (data?.length && data[0].poas?.length > 1) {
-    const sortedPoas = [...data[0].poas].sort((a, b) => {
-      const dateA = a.signoffs?.[0]?.created_at || '0';
-      const dateB = b.signoffs?.[0]?.created_at || '0';
-      return dateB.localeCompare(dateA);
-    });
-    data[0].poas = [sortedPoas[0]];
-  }
-
-  console.log('Raw milestone data:', JSON.stringify(data, null, 2));
-  return data;
-}
-
-/**
- * Fetches snapshots from Supabase.
- */
-async function fetchSnapshotData(proposalId) {
-  console.log(`Fetching snapshot data for proposal ${proposalId}`);
-
-  try {
-    const response = await axios({
-      method: 'POST',
-      url: `${supabaseUrl}/rest/v1/rpc/getproposalsnapshot`,
-      headers: {
-        'apikey': supabaseKey,
-        'Authorization': `Bearer ${supabaseKey}`,
-        'Content-Type': 'application/json',
-        'Content-Profile': 'public',
-        'x-client-info': 'supabase-js/2.2.3'
-      },
-      data: { _project_id: proposalId }
-    });
-
-    return response.data || [];
-  } catch (error) {
-    console.error(`Error fetching snapshot data for proposal ${proposalId}:`, error);
-    return [];
-  }
-}
 
 /**
  * Calculates monthly budget based on proposal funds.
@@ -215,6 +66,7 @@ function calculateMonthlyBudget(proposal, projectConfig) {
       const monthlyAmount = months > 0 ? totalAmount / months : totalAmount;
       return {
         name: collaborator.name,
+        addresses: collaborator.addresses || [],
         totalAmount,
         monthlyAmount,
         allocation: totalBudget > 0 ? totalAmount / totalBudget : 0
@@ -224,6 +76,7 @@ function calculateMonthlyBudget(proposal, projectConfig) {
     else if ('allocation' in collaborator) {
       return {
         name: collaborator.name,
+        addresses: collaborator.addresses || [],
         allocation: collaborator.allocation,
         monthlyAmount: monthlyBudget * collaborator.allocation,
         totalAmount: totalBudget * collaborator.allocation
@@ -247,38 +100,245 @@ function calculateMonthlyBudget(proposal, projectConfig) {
 }
 
 /**
- * Processes wallet transaction data.
+ * Counts the whole months elapsed between the start date and the as-of date,
+ * capped to the project duration.
  */
-async function processWalletTransactions(wallet, dateRanges) {
-  const startDate = dateRanges?.start || null;
-  const endDate = dateRanges?.end || null;
+function countElapsedMonths(financials, asOfDate = new Date()) {
+  const startDate = new Date(financials.startDate);
+  const endDate = new Date(financials.endDate);
+  const referenceDate = asOfDate < endDate ? asOfDate : endDate;
 
-  const transactions = await fetchWalletTransactions(wallet, startDate, endDate);
+  let elapsed = (referenceDate.getFullYear() - startDate.getFullYear()) * 12 +
+    (referenceDate.getMonth() - startDate.getMonth());
+  if (referenceDate.getDate() < startDate.getDate()) elapsed -= 1;
 
-  // Process transactions to get amounts, dates, etc.
-  return transactions.map(tx => {
-    // Extract ADA amounts from outputs that match our wallet
-    const receivedAmount = (tx.outputs || [])
-      .filter(output => output.payment_addr && output.payment_addr.bech32 === wallet)
-      .reduce((sum, output) => sum + (parseFloat(output.value) / 1000000), 0);
+  return Math.min(Math.max(elapsed, 0), financials.months);
+}
 
-    // Extract metadata
-    const metadata = tx?.metadata?.[674]?.msg || [];
-    const metadataString = Array.isArray(metadata) ? metadata.join(' ') : '';
+/**
+ * Matches outgoing wallet transactions to collaborator payout addresses.
+ * Each collaborator gets the amount paid to date, the amount still outstanding
+ * and how far payments are behind the monthly schedule. Collaborators without
+ * payout addresses are returned with null payout figures.
+ */
+function reconcileCollaboratorPayouts(financials, outgoingTransactions) {
+  const elapsedMonths = countElapsedMonths(financials);
+
+  return financials.collaboratorAllocations.map(collaborator => {
+    if (!collaborator.addresses.length) {
+      return { ...collaborator, paidToDate: null, outstanding: null, expectedToDate: null, overdue: null };
+    }
+
+    const addresses = new Set(collaborator.addresses);
+    const payouts = outgoingTransactions.flatMap(tx =>
+      tx.recipients
+        .filter(recipient => addresses.has(recipient.address))
+        .map(recipient => ({ txHash: tx.txHash, date: tx.date, amount: recipient.amount }))
+    );
+
+    const paidToDate = payouts.reduce((sum, payout) => sum + payout.amount, 0);
+    const expectedToDate = Math.min(collaborator.totalAmount, collaborator.monthlyAmount * elapsedMonths);
 
     return {
-      txHash: tx.tx_hash,
-      date: new Date(tx.tx_timestamp * 1000).toISOString().split('T')[0],
-      amount: receivedAmount,
-      metadata: metadataString
+      ...collaborator,
+      payouts,
+      paidToDate,
+      outstanding: Math.max(collaborator.totalAmount - paidToDate, 0),
+      expectedToDate,
+      overdue: Math.max(expectedToDate - paidToDate, 0)
     };
   });
 }
 
+/**
+ * Returns the fiat currencies transactions are valued in (globalSettings.prices.currencies).
+ */
+function getFiatCurrencies() {
+  const currencies = projectsConfig.globalSettings?.prices?.currencies;
+  return (currencies?.length ? currencies : ['USD']).map(currency => currency.toUpperCase());
+}
+
+/**
+ * Values an ADA amount at the stored ADA price of a day, per currency.
+ * Days without a stored price give null values.
+ */
+function valueInFiat(amount, date, currencies) {
+  return Object.fromEntries(currencies.map(currency => {
+    const price = priceHistoryService.getPrice(date, currency);
+    return [currency, { price, value: price === null ? null : Number((amount * price).toFixed(2)) }];
+  }));
+}
+
+/**
+ * Sums the fiat values of transactions per currency. A total is null when
+ * any transaction has no price, rather than understating it.
+ */
+function sumFiatValues(transactions, currencies) {
+  return Object.fromEntries(currencies.map(currency => {
+    const values = transactions.map(tx => tx.fiat?.[currency]?.value ?? null);
+    const total = values.includes(null)
+      ? null
+      : Number(values.reduce((sum, value) => sum + value, 0).toFixed(2));
+    return [currency, total];
+  }));
+}
+
+/**
+ * Joins the 674 metadata message of a transaction into a single string.
+ */
+function extractMetadataMessage(tx) {
+  const metadata = tx?.metadata?.[674]?.msg || [];
+  return Array.isArray(metadata) ? metadata.join(' ') : '';
+}
+
+/**
+ * Formats a transaction timestamp as an ISO date (YYYY-MM-DD).
+ */
+function formatTxDate(tx) {
+  return new Date(tx.tx_timestamp * 1000).toISOString().split('T')[0];
+}
+
+/**
+ * Sums the ADA value of the inputs and outputs that belong to the wallet.
+ * The wallet is a single address or every address of a stake account.
+ */
+function summarizeWalletFlows(tx, wallet) {
+  const walletInputs = (tx.inputs || [])
+    .filter(input => matchesWallet(wallet, input.payment_addr?.bech32))
+    .reduce((sum, input) => sum + lovelaceToAda(input.value), 0);
+  const walletOutputs = (tx.outputs || [])
+    .filter(output => matchesWallet(wallet, output.payment_addr?.bech32))
+    .reduce((sum, output) => sum + lovelaceToAda(output.value), 0);
+
+  return { walletInputs, walletOutputs };
+}
+
+/**
+ * Nets the native tokens entering and leaving the wallet in a transaction.
+ */
+function summarizeWalletAssetFlows(tx, wallet) {
+  const netAssets = sumOutputAssets(tx.outputs, output => matchesWallet(wallet, output.payment_addr?.bech32));
+  for (const input of tx.inputs || []) {
+    if (matchesWallet(wallet, input.payment_addr?.bech32)) {
+      addAssets(netAssets, input.asset_list, -1n);
+    }
+  }
+  return netAssets;
+}
+
+/**
+ * Processes an outgoing transaction into recipients, amount sent, fee and change.
+ * Outputs returning to any address of the wallet are treated as change, not as a payment.
+ * Native tokens sent to recipients and the running token balance are resolved
+ * to tickers and decimal amounts.
+ */
+async function processOutgoingTransaction(tx, wallet, runningBalance, runningAssets = new Map()) {
+  const { walletInputs, walletOutputs } = summarizeWalletFlows(tx, wallet);
+
+  // Group external outputs by recipient address
+  const recipientTotals = new Map();
+  for (const output of tx.outputs || []) {
+    const address = output.payment_addr?.bech32;
+    if (!address || matchesWallet(wallet, address)) continue;
+    recipientTotals.set(address, (recipientTotals.get(address) || 0) + lovelaceToAda(output.value));
+  }
+  const recipients = [...recipientTotals.entries()].map(([address, amount]) => ({ address, amount }));
+
+  return {
+    txHash: tx.tx_hash,
+    date: formatTxDate(tx),
+    recipients,
+    amountSent: recipients.reduce((sum, recipient) => sum + recipient.amount, 0),
+    fee: lovelaceToAda(tx.fee),
+    change: walletOutputs,
+    spent: walletInputs,
+    runningBalance,
+    assetsSent: await describeAssets(sumOutputAssets(tx.outputs, output =>
+      output.payment_addr?.bech32 && !matchesWallet(wallet, output.payment_addr.bech32)
+    )),
+    runningAssets: await describeAssets(runningAssets),
+    metadata: extractMetadataMessage(tx)
+  };
+}
+
+/**
+ * Processes wallet transaction data.
+ * Returns incoming Catalyst payouts and every outgoing transaction of the wallet.
+ * The running balance of outgoing transactions is computed over the full
+ * wallet history, before the date range is applied.
+ * An optional `since` date narrows the window further than dateRanges.start.
+ * Incoming transactions are only kept when they match the payout rules;
+ * payouts outside dateRanges are returned separately for reconciliation.
+ * A stake address wallet is classified over every address of its account.
+ */
+async function processWalletTransactions(wallet, dateRanges, since = null, payoutRules = undefined) {
+  const rangeStart = dateRanges?.start || null;
+  const startDate = since && (!rangeStart || since > rangeStart) ? since : rangeStart;
+  const endDate = dateRanges?.end || null;
+
+  const history = await fetchWalletHistory(wallet);
+  const addresses = await resolveWalletAddresses(wallet);
+
+  // Process incoming transactions to get amounts, dates, etc.
+  const incoming = [];
+  for (const tx of filterIncomingTransactions(history, addresses, startDate, endDate, payoutRules)) {
+    // Extract ADA and token amounts from outputs that match our wallet
+    const { walletOutputs } = summarizeWalletFlows(tx, addresses);
+
+    incoming.push({
+      txHash: tx.tx_hash,
+      date: formatTxDate(tx),
+      amount: walletOutputs,
+      assets: await describeAssets(sumOutputAssets(tx.outputs, output => matchesWallet(addresses, output.payment_addr?.bech32))),
+      metadata: extractMetadataMessage(tx)
+    });
+  }
+
+  // Payouts the date range leaves out, regardless of `since`
+  const outOfRangeReceipts = history
+    .filter(tx => isIncomingTransaction(tx, addresses) &&
+      !isWithinDateRange(tx, rangeStart, endDate) &&
+      evaluatePayout(tx, addresses, payoutRules || DEFAULT_PAYOUT_RULES).included)
+    .map(tx => ({
+      txHash: tx.tx_hash,
+      date: formatTxDate(tx),
+      amount: summarizeWalletFlows(tx, addresses).walletOutputs
+    }));
+
+  // Walk the history chronologically to build the ledger
+  const chronological = [...history].sort((a, b) =>
+    (a.block_height || 0) - (b.block_height || 0) || (a.tx_timestamp || 0) - (b.tx_timestamp || 0)
+  );
+
+  let balance = 0;
+  const assetBalance = new Map();
+  const outgoing = [];
+  for (const tx of chronological) {
+    const { walletInputs, walletOutputs } = summarizeWalletFlows(tx, addresses);
+    balance += walletOutputs - walletInputs;
+    mergeAssets(assetBalance, summarizeWalletAssetFlows(tx, addresses).values());
+
+    if (isOutgoingTransaction(tx, addresses) && isWithinDateRange(tx, startDate, endDate)) {
+      outgoing.push(await processOutgoingTransaction(tx, addresses, balance, assetBalance));
+    }
+  }
+
+  return {
+    incoming,
+    outgoing,
+    outOfRangeReceipts,
+    walletBalance: balance,
+    walletAssets: await describeAssets(assetBalance)
+  };
+}
+
 /**
  * Process a single project.
+ * @param {string} projectId - Catalyst project ID from the configuration
+ * @param {Object} [options]
+ * @param {string} [options.since] - ISO date narrowing the transaction window
  */
-async function processProject(projectId) {
+async function processProject(projectId, options = {}) {
   try {
     // Find project in config
     const projectConfig = projectsConfig.projects.find(p => p.project_id === projectId);
@@ -298,14 +358,47 @@ async function processProject(projectId) {
       throw new Error(`No proposal found for project ${projectId}`);
     }
 
+    // Collaborator amounts can only be checked against the budget once the proposal is known
+    const budgetErrors = validateCollaboratorBudget(
+      projectConfig,
+      proposal.budget,
+      `$.projects[${projectsConfig.projects.indexOf(projectConfig)}]`
+    );
+    if (budgetErrors.length > 0) {
+      throw new Error(`Invalid collaborators for project ${projectId}:\n${formatErrors(budgetErrors)}`);
+    }
+
     // Step 2: Fetch snapshot data
     const snapshots = await fetchSnapshotData(projectId);
 
     // Step 3: Process wallet transactions
-    const transactions = await processWalletTransactions(wallet, projectConfig.dateRanges);
+    const {
+      incoming: transactions,
+      outgoing: outgoingTransactions,
+      outOfRangeReceipts,
+      walletBalance,
+      walletAssets
+    } = await processWalletTransactions(
+      wallet,
+      projectConfig.dateRanges,
+      options.since,
+      resolvePayoutRules(projectConfig, projectsConfig.globalSettings)
+    );
+
+    // Value payouts in fiat at the ADA price of the day they were received
+    const currencies = getFiatCurrencies();
+    await priceHistoryService.ensurePrices(transactions.map(tx => tx.date), currencies);
+    for (const tx of transactions) {
+      tx.fiat = valueInFiat(tx.amount, tx.date, currencies);
+    }
 
-    // Step 4: Calculate monthly budget
+    // Step 4: Calculate monthly budget and reconcile collaborator payouts
     const financials = calculateMonthlyBudget(proposal, projectConfig);
+    for (const collaborator of financials.collaboratorAllocations) {
+      // Stake addresses pay out to any address of the collaborator's account
+      collaborator.addresses = (await Promise.all(collaborator.addresses.map(resolveWalletAddresses))).flat();
+    }
+    financials.collaboratorAllocations = reconcileCollaboratorPayouts(financials, outgoingTransactions);
 
     // Step 5: Process milestone data
     let processedMilestones = [];
@@ -329,6 +422,7 @@ async function processProject(projectId) {
           success_criteria_approved: milestoneData?.[0]?.som_reviews?.[0]?.success_criteria_approves || false,
           evidence_approved: milestoneData?.[0]?.som_reviews?.[0]?.evidence_approves || false,
           poa_content_approved: milestoneData?.[0]?.poas?.[0]?.poas_reviews?.[0]?.content_approved || false,
+          approved_date: milestoneData?.[0]?.poas?.[0]?.signoffs?.[0]?.created_at?.split('T')[0] || null,
           milestones_link: `${MILESTONES_BASE_URL}/projects/${projectId}`
         });
       }
@@ -351,11 +445,25 @@ async function processProject(projectId) {
           success_criteria_approved: false,
           evidence_approved: false,
           poa_content_approved: false,
+          approved_date: null,
           milestones_link: `${MILESTONES_BASE_URL}/projects/${projectId}`
         });
       }
     }
 
+    // Step 6: Match payouts to the milestones they pay for
+    const payoutMatch = matchMilestonePayouts(processedMilestones, transactions, projectConfig.milestoneOverrides);
+    processedMilestones = payoutMatch.milestones;
+    if (payoutMatch.unmatched.length > 0) {
+      console.log(
+        `${payoutMatch.unmatched.length} payout(s) of project ${projectId} could not be matched to a milestone: ` +
+        payoutMatch.unmatched.map(tx => tx.txHash).join(', ')
+      );
+    }
+
+    // Step 7: Derive due dates and lifecycle statuses
+    processedMilestones = deriveMilestoneStatuses(processedMilestones, financials.startDate);
+
     // Calculate total funds received
     const totalReceived = transactions.reduce((sum, tx) => sum + tx.amount, 0);
 
@@ -378,7 +486,13 @@ async function processProject(projectId) {
       milestone.outputs_approved,
       milestone.success_criteria_approved,
       milestone.evidence_approved,
-      milestone.poa_content_approved
+      milestone.poa_content_approved,
+      milestone.paid_amount,
+      milestone.paid_tx_hash,
+      milestone.paid_date,
+      milestone.approved_unpaid,
+      milestone.due_date,
+      milestone.status
     ]);
 
     // Format transactions for CSV files
@@ -388,6 +502,24 @@ async function processProject(projectId) {
       tx.txHash,
       tx.date,
       tx.amount,
+      formatAssets(tx.assets),
+      ...currencies.flatMap(currency => [tx.fiat[currency].price, tx.fiat[currency].value]),
+      tx.metadata
+    ]);
+
+    // Format outgoing transactions for CSV files
+    const outgoingTransactionsForSheet = outgoingTransactions.map(tx => [
+      projectId,
+      proposal.title,
+      tx.txHash,
+      tx.date,
+      tx.recipients.map(recipient => `${recipient.address} (${recipient.amount})`).join('; '),
+      tx.amountSent,
+      formatAssets(tx.assetsSent),
+      tx.fee,
+      tx.change,
+      Number(tx.runningBalance.toFixed(6)),
+      formatAssets(tx.runningAssets),
       tx.metadata
     ]);
 
@@ -398,7 +530,11 @@ async function processProject(projectId) {
       financials.totalBudget,
       collaborator.name,
       collaborator.totalAmount,
-      financials.organizationFunds
+      financials.organizationFunds,
+      collaborator.paidToDate,
+      collaborator.outstanding,
+      collaborator.expectedToDate,
+      collaborator.overdue
     ]);
 
     // Format proposal summary for CSV files
@@ -418,11 +554,17 @@ async function processProject(projectId) {
     return {
       projectId,
       proposal,
+      wallet,
       milestones: processedMilestones,
       transactions,
+      outgoingTransactions,
+      outOfRangeReceipts,
+      walletBalance,
+      walletAssets,
       financials,
       milestonesForSheet,
       transactionsForSheet,
+      outgoingTransactionsForSheet,
       proposalForSheet,
       collaboratorsForSheet
     };
@@ -433,33 +575,156 @@ async function processProject(projectId) {
 }
 
 /**
- * Sends a Discord notification.
+ * Writes the datasets of a run to the storage sinks and records history snapshots.
  */
-async function sendDiscordNotification(message) {
-  const webhookUrl = process.env.DISCORD_WEBHOOK_URL;
-  if (!webhookUrl) {
-    console.log('Discord webhook URL not provided. Skipping notification.');
-    return;
+async function writeDatasets(datasets) {
+  const {
+    allMilestones,
+    allTransactions,
+    allOutgoingTransactions,
+    globalFinancialsForSheet,
+    allStakingRewards = [],
+    allReconciliation = [],
+    allProposals,
+    allCollaborators
+  } = datasets;
+
+  // History snapshots share one date and retention policy per run
+  const historyOptions = {
+    snapshotDate: new Date().toISOString().split('T')[0],
+    retentionDays: projectsConfig.globalSettings?.history?.retentionDays
+  };
+
+  if (allMilestones.length > 0) {
+    // Headers come from the dataset schemas in datasets.js
+    const milestoneHeaders = datasetHeaders('milestones');
+    await storageService.writeDataset('milestones', milestoneHeaders, allMilestones);
+    await historyService.recordSnapshot('milestones', milestoneHeaders, allMilestones, historyOptions);
+    console.log('Milestones dataset written');
   }
 
-  try {
-    const webhook = new WebhookClient({ url: webhookUrl });
-    await webhook.send({
-      content: message,
-      username: 'Catalyst Monitor Bot'
-    });
-    console.log('Discord notification sent successfully');
-  } catch (error) {
-    console.error('Error sending Discord notification:', error);
+  if (allTransactions.length > 0) {
+    const transactionHeaders = datasetHeaders('transactions', getFiatCurrencies());
+    await storageService.writeDataset('transactions', transactionHeaders, allTransactions);
+    console.log('Transactions dataset written');
+  }
+
+  if (allOutgoingTransactions.length > 0) {
+    const outgoingTransactionHeaders = datasetHeaders('outgoing_transactions');
+    await storageService.writeDataset('outgoing_transactions', outgoingTransactionHeaders, allOutgoingTransactions);
+    console.log('Outgoing Transactions dataset written');
+  }
+
+  // Add global financials sheet
+  if (globalFinancialsForSheet.length > 0) {
+    const globalFinancialHeaders = datasetHeaders('global_financials', getFiatCurrencies());
+    await storageService.writeDataset('global_financials', globalFinancialHeaders, globalFinancialsForSheet);
+    await historyService.recordSnapshot('global_financials', globalFinancialHeaders, globalFinancialsForSheet, historyOptions);
+    console.log('Global Financials dataset written');
+  }
+
+  if (allStakingRewards.length > 0) {
+    const stakingRewardHeaders = datasetHeaders('staking_rewards');
+    await storageService.writeDataset('staking_rewards', stakingRewardHeaders, allStakingRewards);
+    console.log('Staking Rewards dataset written');
+  }
+
+  if (allProposals.length > 0) {
+    const proposalHeaders = datasetHeaders('proposals');
+    await storageService.writeDataset('proposals', proposalHeaders, allProposals);
+    await historyService.recordSnapshot('proposals', proposalHeaders, allProposals, historyOptions);
+    console.log('Proposals dataset written');
+  }
+
+  // Add collaborators sheet
+  if (allCollaborators.length > 0) {
+    const collaboratorHeaders = datasetHeaders('collaborators');
+    await storageService.writeDataset('collaborators', collaboratorHeaders, allCollaborators);
+    console.log('Collaborators dataset written');
+  }
+
+  if (allReconciliation.length > 0) {
+    const reconciliationHeaders = datasetHeaders('reconciliation');
+    await storageService.writeDataset('reconciliation', reconciliationHeaders, allReconciliation);
+    console.log('Reconciliation dataset written');
   }
 }
 
+// Datasets with rows per project, and the column holding the project ID
+const PROJECT_DATASETS = {
+  allMilestones: { dataset: 'milestones', projectColumn: 'project_id' },
+  allTransactions: { dataset: 'transactions', projectColumn: 'Project ID' },
+  allOutgoingTransactions: { dataset: 'outgoing_transactions', projectColumn: 'Project ID' },
+  allProposals: { dataset: 'proposals', projectColumn: 'Project ID' },
+  allCollaborators: { dataset: 'collaborators', projectColumn: 'Project ID' },
+  allReconciliation: { dataset: 'reconciliation', projectColumn: 'Project ID' }
+};
+
+/**
+ * Adds the rows other configured projects have in the current CSV files to
+ * the datasets of a --project run, so that only the synced projects' rows
+ * are replaced. Rows keep the project order of projects.json, as in a full
+ * run. global_financials is left out: its totals cover every project.
+ *
+ * @param {Object} datasets - Datasets of the run (see writeDatasets)
+ * @param {Array<string>} projectIds - Projects synced in this run
+ * @returns {Promise<Object>} - Datasets to write
+ */
+async function mergeProjectRows(datasets, projectIds) {
+  const projectOrder = projectsConfig.projects.map(project => project.project_id);
+  const merged = { ...datasets, globalFinancialsForSheet: [] };
+
+  for (const [key, { dataset, projectColumn }] of Object.entries(PROJECT_DATASETS)) {
+    const headers = datasetHeaders(dataset, getFiatCurrencies());
+    const projectIndex = headers.indexOf(projectColumn);
+
+    // Previous rows are remapped by column name in case the layout changed
+    const [previousHeaders = [], ...previousRows] = await csvService.readCsv(dataset);
+    const keptRows = previousRows
+      .map(row => historyService.remapRow(row, previousHeaders, headers))
+      .filter(row => projectOrder.includes(row[projectIndex]) && !projectIds.includes(row[projectIndex]));
+
+    const position = row => projectOrder.indexOf(String(row[projectIndex]));
+    merged[key] = [...keptRows, ...datasets[key]].sort((a, b) => position(a) - position(b));
+  }
+
+  return merged;
+}
+
 /**
  * Main function to process all projects.
+ * @param {Object} [options] - Options from the command line (see parseCliArgs)
+ * @param {Array<string>} [options.projects] - Only process these project IDs; their rows replace theirs in the CSV files
+ * @param {string} [options.since] - ISO date narrowing the transaction window
+ * @param {boolean} [options.dryRun] - Compute everything without writing files or notifying
+ * @returns {Promise<Object>} - Results of the run
  */
-async function main() {
+async function main(options = {}) {
+  const startedAt = new Date().toISOString();
+  console.log('Environment check:');
+  console.log('- MILESTONES_BASE_URL:', MILESTONES_BASE_URL);
+  console.log('- URL type:', typeof MILESTONES_BASE_URL);
+  console.log('- URL length:', MILESTONES_BASE_URL.length);
+
+  // Fail before any request is made if projects.json is invalid
+  assertValidConfig(projectsConfig);
+
+  notificationService.configure(projectsConfig.globalSettings?.notifications?.channels);
+  koiosClient.configure(projectsConfig.globalSettings?.koios);
+  balanceService.configure(projectsConfig.globalSettings?.balances?.providers);
+  priceService.configure(projectsConfig.globalSettings?.prices);
+  storageService.configure(projectsConfig.globalSettings?.storage?.sinks);
+  databaseService.configure(projectsConfig.globalSettings?.database);
+
   // Get project IDs from configuration
-  const projectIds = projectsConfig.projects.map(p => p.project_id);
+  let projectIds = projectsConfig.projects.map(p => p.project_id);
+  if (options.projects?.length) {
+    const unknownIds = options.projects.filter(id => !projectIds.includes(id));
+    if (unknownIds.length > 0) {
+      throw new Error(`Project ID(s) not found in configuration: ${unknownIds.join(', ')}`);
+    }
+    projectIds = options.projects;
+  }
   if (projectIds.length === 0) {
     console.error('No projects found in configuration');
     process.exit(1);
@@ -469,17 +734,20 @@ async function main() {
 
   let allMilestones = [];
   let allTransactions = [];
+  let allOutgoingTransactions = [];
   let allProposals = [];
   let allCollaborators = [];
   let processedProjects = [];
+  let failedProjects = [];
 
   for (const projectId of projectIds) {
     try {
-      const projectData = await processProject(projectId);
+      const projectData = await processProject(projectId, { since: options.since });
 
       // Accumulate data for CSV files
       allMilestones = [...allMilestones, ...projectData.milestonesForSheet];
       allTransactions = [...allTransactions, ...projectData.transactionsForSheet];
+      allOutgoingTransactions = [...allOutgoingTransactions, ...projectData.outgoingTransactionsForSheet];
       allProposals = [...allProposals, ...projectData.proposalForSheet];
       allCollaborators = [...allCollaborators, ...projectData.collaboratorsForSheet];
 
@@ -488,6 +756,7 @@ async function main() {
       console.log(`Successfully processed project ${projectId}`);
     } catch (error) {
       console.error(`Failed to process project ${projectId}:`, error);
+      failedProjects.push({ projectId, error: error.message });
     }
   }
 
@@ -496,30 +765,109 @@ async function main() {
     sum + project.financials.totalBudget, 0);
   const totalReceivedAll = processedProjects.reduce((sum, project) =>
     sum + project.transactions.reduce((txSum, tx) => txSum + tx.amount, 0), 0);
+  const totalReceivedFiatAll = sumFiatValues(processedProjects.flatMap(project => project.transactions), getFiatCurrencies());
+  const totalReceivedAssetsAll = await describeAssets(processedProjects.reduce((totals, project) =>
+    project.transactions.reduce((txTotals, tx) => mergeAssets(txTotals, tx.assets), totals), new Map()));
+
+  // Compare Catalyst's reported distributions with on-chain receipts
+  const reconciliations = reconcileProjects(processedProjects);
+  const discrepancies = reconciliations.filter(reconciliation => reconciliation.issues.length > 0);
+  for (const reconciliation of discrepancies) {
+    console.log(`Reconciliation issues for project ${reconciliation.projectId}:\n  ${reconciliation.issues.join('\n  ')}`);
+  }
+  const allReconciliation = reconciliations.map(reconciliation => [
+    reconciliation.projectId,
+    reconciliation.title,
+    reconciliation.budget,
+    reconciliation.fundsDistributed,
+    reconciliation.totalReceived,
+    reconciliation.approvedMilestoneCosts,
+    reconciliation.distributedMinusReceived,
+    reconciliation.duplicateTxHashes.join('; '),
+    reconciliation.outOfRangeReceipts.map(tx => tx.txHash).join('; '),
+    reconciliation.issues.length > 0 ? 'discrepancy' : 'ok',
+    reconciliation.issues.join('; ')
+  ]);
 
   // Get organization budget settings
   const organizations = projectsConfig.globalSettings?.organizations || [];
 
-  // Fetch current ADA/USD rate
-  const adaUsdRate = await fetchAdaExchangeRate();
-  console.log('Current ADA/USD rate:', adaUsdRate);
+  // Fetch current ADA/USD rate; null when no provider has a fresh price
+  const { price: adaUsdRate, provider: priceProvider } = await priceService.fetchPrice('USD');
+  console.log('Current ADA/USD rate:', adaUsdRate, priceProvider ? `(${priceProvider})` : '(missing)');
 
   // Create global financials report
   let globalFinancialsForSheet = [];
+  let organizationFinancials = [];
+  let allStakingRewards = [];
+  let stakingRewardsFailed = false;
   for (const org of organizations) {
     const { name, realMonthlyBudget, maxMonthlyBudget, wallet } = org;
 
     // Fetch actual wallet balance
-    const walletBalanceAda = await fetchWalletBalance(wallet);
+    const { balance: walletBalanceAda } = await balanceService.fetchBalance(wallet);
     console.log(`Wallet balance for ${name}:`, walletBalanceAda, 'ADA');
 
-    // Calculate USD values with 2 decimal places
-    const walletBalanceUsd = Number((walletBalanceAda * adaUsdRate).toFixed(2));
-    const formattedWalletBalanceAda = Number(walletBalanceAda.toFixed(2));
+    // Native tokens held by the wallet; left empty when they cannot be fetched
+    let walletAssets = null;
+    if (wallet) {
+      try {
+        walletAssets = await describeAssets(addAssets(new Map(), await fetchWalletAssets(wallet)));
+      } catch (error) {
+        console.error(`Error fetching wallet assets for ${name}:`, error);
+      }
+    }
+
+    // Staking rewards of stake address wallets; left empty when they cannot be fetched
+    let stakingRewards = null;
+    try {
+      stakingRewards = await collectStakingRewards(org);
+    } catch (error) {
+      console.error(`Error fetching staking rewards for ${name}:`, error);
+      stakingRewardsFailed = true;
+    }
+    if (stakingRewards) {
+      console.log(`Staking rewards for ${name}:`, stakingRewards.accumulatedRewards, 'ADA accumulated');
+      allStakingRewards = [...allStakingRewards, ...stakingRewards.entries.map(entry => [
+        name,
+        stakingRewards.stakeAddress,
+        entry.type,
+        entry.epoch,
+        entry.date,
+        Number(entry.amount.toFixed(6)),
+        entry.poolId,
+        entry.txHash
+      ])];
+    }
+
+    // Calculate USD values with 2 decimal places; missing balances or prices stay empty
+    const hasBalance = walletBalanceAda !== null;
+    const walletBalanceUsd = hasBalance && adaUsdRate !== null
+      ? Number((walletBalanceAda * adaUsdRate).toFixed(2))
+      : null;
+    const formattedWalletBalanceAda = hasBalance ? Number(walletBalanceAda.toFixed(2)) : null;
 
     // Calculate months based on actual wallet balance
-    const monthsWithRealBudget = realMonthlyBudget > 0 ? Math.round(walletBalanceAda / realMonthlyBudget) : 0;
-    const monthsWithMaxBudget = maxMonthlyBudget > 0 ? Math.round(walletBalanceAda / maxMonthlyBudget) : 0;
+    const countMonths = monthlyBudget => {
+      if (!(monthlyBudget > 0)) return 0;
+      return hasBalance ? Math.round(walletBalanceAda / monthlyBudget) : null;
+    };
+    const monthsWithRealBudget = countMonths(realMonthlyBudget);
+    const monthsWithMaxBudget = countMonths(maxMonthlyBudget);
+
+    organizationFinancials.push({
+      name,
+      wallet,
+      realMonthlyBudget,
+      maxMonthlyBudget,
+      walletBalanceAda,
+      walletBalanceUsd,
+      walletAssets,
+      accumulatedRewards: stakingRewards?.accumulatedRewards ?? null,
+      withdrawnRewards: stakingRewards?.withdrawnRewards ?? null,
+      monthsWithRealBudget,
+      monthsWithMaxBudget
+    });
 
     globalFinancialsForSheet.push([
       'ALL',
@@ -530,85 +878,104 @@ async function main() {
       maxMonthlyBudget,
       monthsWithMaxBudget,
       totalReceivedAll,
+      formatAssets(totalReceivedAssetsAll),
+      ...Object.values(totalReceivedFiatAll),
       totalBudgetAll - totalReceivedAll,
       formattedWalletBalanceAda,
-      walletBalanceUsd
+      walletBalanceUsd,
+      walletAssets ? formatAssets(walletAssets) : '',
+      stakingRewards ? Number(stakingRewards.accumulatedRewards.toFixed(2)) : null,
+      stakingRewards ? Number(stakingRewards.withdrawnRewards.toFixed(2)) : null
     ]);
   }
 
-  // Update CSV files with processed data
+  // Load the previous run's data before the CSV files are overwritten
+  let previousData = null;
   try {
-    if (allMilestones.length > 0) {
-      // Define headers for the CSV files
-      const milestoneHeaders = [
-        'title',
-        'project_id',
-        'milestone',
-        'month',
-        'cost',
-        'completion',
-        'budget',
-        'funds_distributed',
-        'milestones_qty',
-        'som_signoff_count',
-        'poa_signoff_count',
-        'outputs_approved',
-        'success_criteria_approved',
-        'evidence_approved',
-        'poa_content_approved'
-      ];
-      await csvService.updateCsv('milestones', allMilestones, milestoneHeaders);
-      console.log('Milestones CSV file updated successfully');
-    }
+    previousData = await loadPreviousData(csvService);
+  } catch (error) {
+    console.error('Error loading previous CSV data, change detection disabled:', error);
+  }
 
-    if (allTransactions.length > 0) {
-      const transactionHeaders = ['Project ID', 'Project Title', 'Transaction Hash', 'Date', 'Amount', 'Metadata'];
-      await csvService.updateCsv('transactions', allTransactions, transactionHeaders);
-      console.log('Transactions CSV file updated successfully');
+  // The transaction cache and price history only save work on later runs, so a failure is not fatal
+  if (!options.dryRun) {
+    try {
+      txCacheService.flush();
+    } catch (error) {
+      console.error('Transaction cache not saved:', error);
     }
-
-    // Add global financials sheet
-    if (globalFinancialsForSheet.length > 0) {
-      const globalFinancialHeaders = [
-        'Projects',
-        'Organization',
-        'Total Budget All Projects',
-        'Real Monthly Budget',
-        'Months with Real Budget',
-        'Max Monthly Budget',
-        'Months with Max Budget',
-        'Total Received',
-        'Remaining Funds',
-        'Wallet Balance (ADA)',
-        'Wallet Balance (USD)'
-      ];
-      await csvService.updateCsv('global_financials', globalFinancialsForSheet, globalFinancialHeaders);
-      console.log('Global Financials CSV file updated successfully');
+    try {
+      await priceHistoryService.save();
+    } catch (error) {
+      console.error('Price history not saved:', error);
     }
+  }
+
+  if (failedProjects.length > 0 && !options.dryRun) {
+    // Writing now would drop the failed projects from the CSV files, under-reporting their funds
+    console.error(`${failedProjects.length} project(s) failed, keeping the previous CSV files`);
+    await notificationService.notify({
+      title: `❌ Catalyst monitoring: ${failedProjects.length} project${failedProjects.length === 1 ? '' : 's'} failed, CSV files not updated`,
+      lines: failedProjects.map(failure => `Project ${failure.projectId}: ${failure.error}`),
+      severity: 'critical'
+    });
+    process.exitCode = 1;
+  }
 
-    if (allProposals.length > 0) {
-      const proposalHeaders = ['Project ID', 'Title', 'Budget', 'Funds Distributed', 'Remaining Funds', 'Milestones Quantity', 'Milestone URL'];
-      await csvService.updateCsv('proposals', allProposals, proposalHeaders);
-      console.log('Proposals CSV file updated successfully');
+  if (options.dryRun) {
+    console.log('Dry run: skipping storage sinks and notifications');
+  } else if (failedProjects.length > 0) {
+    console.log('Skipping storage sinks because of failed projects');
+  } else {
+    try {
+      const datasets = {
+        allMilestones,
+        allTransactions,
+        allOutgoingTransactions,
+        globalFinancialsForSheet,
+        // A partial reward history would drop rows from the previous file
+        allStakingRewards: stakingRewardsFailed ? [] : allStakingRewards,
+        allReconciliation,
+        allProposals,
+        allCollaborators
+      };
+      await writeDatasets(options.projects?.length ? await mergeProjectRows(datasets, projectIds) : datasets);
+    } catch (error) {
+      console.error('Error updating CSV files:', error);
+      await storageService.finish();
+      await notificationService.notify({
+        title: '⚠️ Error updating CSV files',
+        lines: [error.message],
+        severity: 'critical'
+      });
+      process.exit(1);
     }
 
-    // Add collaborators sheet
-    if (allCollaborators.length > 0) {
-      const collaboratorHeaders = [
-        'Project ID',
-        'Project Title',
-        'Total Budget',
-        'Collaborator Name',
-        'Funds Allocated to Collaborator',
-        'Funds Left to Organization'
-      ];
-      await csvService.updateCsv('collaborators', allCollaborators, collaboratorHeaders);
-      console.log('Collaborators CSV file updated successfully');
+    // Optional sinks fail on their own without holding back the others
+    const sinkFailures = await storageService.finish();
+    if (sinkFailures.length > 0) {
+      await notificationService.notify({
+        title: `⚠️ Catalyst monitoring: ${sinkFailures.length} storage sink${sinkFailures.length === 1 ? '' : 's'} failed`,
+        lines: sinkFailures.map(failure => `${failure.sink} (${failure.dataset}): ${failure.error}`),
+        severity: 'warning'
+      });
     }
-  } catch (error) {
-    console.error('Error updating CSV files:', error);
-    await sendDiscordNotification(`⚠️ Error updating CSV files: ${error.message}`);
-    process.exit(1);
+  }
+
+  // Evaluate alert rules and raise matching alerts
+  const alerts = evaluateAlertRules(projectsConfig.globalSettings?.alerts?.rules, {
+    projects: processedProjects,
+    organizations: organizationFinancials,
+    previousGlobalFinancials: previousData?.globalFinancials
+  });
+
+  if (alerts.length > 0 && !options.dryRun) {
+    console.log(`${alerts.length} alert(s) raised`);
+    await notificationService.notify({
+      title: `🚨 Catalyst monitoring: ${alerts.length} alert${alerts.length === 1 ? '' : 's'}`,
+      lines: alerts.map(alert => `[${alert.severity.toUpperCase()}] ${alert.rule}: ${alert.message}`),
+      severity: highestSeverity(alerts)
+    });
   }
 
   // Send notification
@@ -623,25 +990,206 @@ async function main() {
       m.evidence_approved
     ).length, 0
   );
-  const totalCollaborators = allCollaborators.length;
+  const notificationSettings = projectsConfig.globalSettings?.notifications || {};
+  const changes = previousData ? detectChanges(previousData, processedProjects) : [];
+  const summaryLine = `${totalProjects} projects processed, ${completedMilestones}/${totalMilestones} milestones completed` +
+    (discrepancies.length > 0
+      ? `, reconciliation discrepancies in ${discrepancies.length} project${discrepancies.length === 1 ? '' : 's'}: ` +
+        discrepancies.map(reconciliation => reconciliation.projectId).join(', ')
+      : '');
+
+  if (options.dryRun) {
+    console.log(`Dry run: ${changes.length} change(s) and ${alerts.length} alert(s) not sent`);
+  } else if (failedProjects.length > 0) {
+    // The CSV files were kept, so the same changes are detected again once they are written
+    console.log(`Holding back ${changes.length} change(s) until the CSV files are updated`);
+  } else if (changes.length > 0) {
+    const maxLines = notificationSettings.maxChangeLines || 20;
+    const changeLines = changes.slice(0, maxLines);
+    if (changes.length > maxLines) {
+      changeLines.push(`…and ${changes.length - maxLines} more`);
+    }
+
+    await notificationService.notify({
+      title: `📊 Catalyst monitoring update: ${changes.length} change${changes.length === 1 ? '' : 's'}`,
+      lines: changeLines,
+      footer: summaryLine
+    });
+  } else if (notificationSettings.notifyWhenUnchanged) {
+    await notificationService.notify({
+      title: '✅ Catalyst monitoring update completed: no changes',
+      footer: summaryLine
+    });
+  } else {
+    console.log('No changes detected. Skipping notification.');
+  }
+
+  // Upserts keep the last known state of failed projects, so partial runs are recorded too
+  if (databaseService.enabled && !options.dryRun) {
+    try {
+      databaseService.recordRun({
+        startedAt,
+        projects: processedProjects,
+        failedProjects,
+        organizations: organizationFinancials,
+        changes: changes.length,
+        alerts: alerts.length
+      });
+    } catch (error) {
+      console.error('SQLite database not updated:', error.message);
+    } finally {
+      databaseService.close();
+    }
+  }
+
+  console.log(`Run summary: ${summaryLine}`);
+  if (failedProjects.length > 0) {
+    console.log(`Processing completed with ${failedProjects.length} failed project(s)`);
+  } else {
+    console.log('All processing completed successfully');
+  }
+
+  return {
+    dryRun: Boolean(options.dryRun),
+    projects: processedProjects.map(project => ({
+      projectId: project.projectId,
+      title: project.proposal.title,
+      budget: project.proposal.budget,
+      fundsDistributed: project.proposal.funds_distributed || 0,
+      totalReceived: project.transactions.reduce((sum, tx) => sum + tx.amount, 0),
+      totalReceivedFiat: sumFiatValues(project.transactions, getFiatCurrencies()),
+      walletBalance: project.walletBalance,
+      walletAssets: project.walletAssets,
+      milestones: project.milestones,
+      transactions: project.transactions,
+      outgoingTransactions: project.outgoingTransactions,
+      collaborators: project.financials.collaboratorAllocations
+    })),
+    failedProjects,
+    organizations: organizationFinancials,
+    reconciliation: reconciliations,
+    changes,
+    alerts
+  };
+}
+
+const USAGE = `Usage: node scripts/sync-projects.js [options]
 
-  const notificationMessage = `✅ Catalyst monitoring update completed!\n` +
-    `- ${totalProjects} projects processed\n` +
-    `- ${completedMilestones}/${totalMilestones} milestones completed\n` +
-    `- ${totalCollaborators} collaborators tracked\n` +
-    `- Data updated in CSV files`;
+Options:
+  --project <id>         Only sync this project (repeatable or comma separated);
+                         its rows replace its previous rows in the CSV files and
+                         global_financials.csv is left unchanged
+  --since <date>         Only include transactions on or after this ISO date
+                         (requires --dry-run)
+  --dry-run              Compute everything without writing files or notifying
+  --output <json|table>  Print the results of the run
+  -h, --help             Show this help`;
 
-  await sendDiscordNotification(notificationMessage);
+/**
+ * Parses command line arguments into main() options.
+ * --since runs must be dry runs, since writing them would drop the earlier
+ * transactions from the CSV files.
+ */
+function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      project: { type: 'string', multiple: true },
+      since: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      output: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  const options = {
+    projects: (values.project || []).flatMap(value => value.split(',')).map(id => id.trim()).filter(Boolean),
+    since: values.since || null,
+    dryRun: values['dry-run'],
+    output: values.output || null,
+    help: values.help
+  };
+
+  if (options.since && Number.isNaN(Date.parse(options.since))) {
+    throw new Error(`Invalid --since date: ${options.since}`);
+  }
+  if (options.output && !['json', 'table'].includes(options.output)) {
+    throw new Error(`Invalid --output format: ${options.output} (expected json or table)`);
+  }
+  if (options.since && !options.dryRun) {
+    throw new Error('--since only covers part of the transactions; combine it with --dry-run');
+  }
 
-  console.log('All processing completed successfully');
+  return options;
+}
+
+/**
+ * Prints the results of a run as JSON or as tables.
+ */
+function printResults(results, format) {
+  if (format === 'json') {
+    process.stdout.write(`${JSON.stringify(results, null, 2)}\n`);
+    return;
+  }
+
+  console.table(results.projects.map(project => ({
+    project: project.projectId,
+    title: project.title,
+    budget: project.budget,
+    distributed: project.fundsDistributed,
+    received: project.totalReceived,
+    milestones: project.milestones.length,
+    payouts: project.transactions.length,
+    outgoing: project.outgoingTransactions.length
+  })));
+  if (results.organizations.length > 0) {
+    console.table(results.organizations.map(org => ({
+      ...org,
+      walletAssets: org.walletAssets ? formatAssets(org.walletAssets) : ''
+    })));
+  }
+  const discrepancies = results.reconciliation.filter(reconciliation => reconciliation.issues.length > 0);
+  if (discrepancies.length > 0) {
+    console.table(discrepancies.flatMap(reconciliation =>
+      reconciliation.issues.map(issue => ({ project: reconciliation.projectId, issue }))
+    ));
+  }
+  if (results.changes.length > 0) {
+    console.table(results.changes.map(change => ({ change })));
+  }
+  if (results.alerts.length > 0) {
+    console.table(results.alerts);
+  }
 }
 
 // Execute main function
 if (require.main === module) {
-  main().catch(error => {
-    console.error('Fatal error in main function:', error);
+  let cliOptions;
+  try {
+    cliOptions = parseCliArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
     process.exit(1);
-  });
+  }
+
+  if (cliOptions.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  // Keep stdout clean for machine-readable output
+  if (cliOptions.output === 'json') {
+    console.log = console.error;
+  }
+
+  main(cliOptions)
+    .then(results => {
+      if (cliOptions.output) printResults(results, cliOptions.output);
+    })
+    .catch(error => {
+      console.error('Fatal error in main function:', error);
+      process.exit(1);
+    });
 }
 
 module.exports = { processProject, main };
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Persistent cache of Koios tx_info responses and per-wallet sync state.
+ * Confirmed transactions never change, so each tx_info response is stored
+ * once in data/cache/tx_info/<hash>.json, and every wallet remembers the
+ * hashes it has seen and the highest block height it was synced to.
+ * Changes are kept in memory until flush() is called, so dry runs can use
+ * the cache without writing to it.
+ */
+class TxCacheService {
+    constructor() {
+        this.cacheDir = path.join(__dirname, '..', 'data', 'cache');
+        this.txInfoDir = path.join(this.cacheDir, 'tx_info');
+        this.stateFile = path.join(this.cacheDir, 'wallet_sync_state.json');
+        this.walletStates = null;
+        this.pendingTxInfo = new Map();
+        this.stateChanged = false;
+    }
+
+    /**
+     * Load the wallet sync state from disk
+     */
+    loadState() {
+        if (this.walletStates) return;
+
+        try {
+            this.walletStates = fs.existsSync(this.stateFile)
+                ? JSON.parse(fs.readFileSync(this.stateFile, 'utf8'))
+                : {};
+        } catch (error) {
+            console.error('Error reading wallet sync state, starting from scratch:', error);
+            this.walletStates = {};
+        }
+    }
+
+    /**
+     * Get the sync state of a wallet
+     *
+     * @param {string} wallet - Wallet address
+     * @returns {{lastBlockHeight: number, txHashes: Array<string>}} - Sync state (empty for new wallets)
+     */
+    getWalletState(wallet) {
+        this.loadState();
+        return this.walletStates[wallet] || { lastBlockHeight: 0, txHashes: [] };
+    }
+
+    /**
+     * Update the sync state of a wallet
+     *
+     * @param {string} wallet - Wallet address
+     * @param {{lastBlockHeight: number, txHashes: Array<string>}} state - New sync state
+     */
+    setWalletState(wallet, state) {
+        this.loadState();
+        this.walletStates[wallet] = {
+            lastBlockHeight: state.lastBlockHeight,
+            lastSyncedAt: new Date().toISOString(),
+            txHashes: state.txHashes
+        };
+        this.stateChanged = true;
+    }
+
+    /**
+     * Get a cached tx_info response
+     *
+     * @param {string} txHash - Transaction hash
+     * @returns {Object|null} - Cached response or null if not cached
+     */
+    getTxInfo(txHash) {
+        if (this.pendingTxInfo.has(txHash)) {
+            return this.pendingTxInfo.get(txHash);
+        }
+
+        const filePath = path.join(this.txInfoDir, `${txHash}.json`);
+        if (!fs.existsSync(filePath)) return null;
+
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            console.error(`Ignoring unreadable cache entry for ${txHash}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Cache a tx_info response
+     *
+     * @param {Object} tx - tx_info response for a single transaction
+     */
+    setTxInfo(tx) {
+        this.pendingTxInfo.set(tx.tx_hash, tx);
+    }
+
+    /**
+     * Write new cache entries and the wallet sync state to disk
+     */
+    flush() {
+        try {
+            if (this.pendingTxInfo.size > 0) {
+                fs.mkdirSync(this.txInfoDir, { recursive: true });
+                for (const [txHash, tx] of this.pendingTxInfo) {
+                    fs.writeFileSync(path.join(this.txInfoDir, `${txHash}.json`), JSON.stringify(tx));
+                }
+            }
+
+            if (this.stateChanged) {
+                fs.mkdirSync(this.cacheDir, { recursive: true });
+                fs.writeFileSync(this.stateFile, `${JSON.stringify(this.walletStates, null, 2)}\n`);
+            }
+
+            console.log(`Transaction cache updated: ${this.pendingTxInfo.size} new tx_info entries`);
+            this.pendingTxInfo.clear();
+            this.stateChanged = false;
+        } catch (error) {
+            console.error('Error writing transaction cache:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new TxCacheService();
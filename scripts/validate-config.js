@@ -0,0 +1,40 @@
+// scripts/validate-config.js
+const fs = require('fs');
+const path = require('path');
+const { validateConfig, formatErrors } = require('./configValidator');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'src', 'config', 'projects.json');
+
+/**
+ * Validates projects.json (or the file given as first argument) against
+ * src/config/projects.schema.json and reports every error with its JSON path.
+ * Exits with a non-zero status when the configuration is invalid.
+ */
+function main() {
+  const configPath = process.argv[2] ? path.resolve(process.argv[2]) : DEFAULT_CONFIG_PATH;
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    console.error(`Could not read ${configPath}: ${error.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    console.error(`${configPath} has ${errors.length} error${errors.length === 1 ? '' : 's'}:\n${formatErrors(errors)}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`${configPath} is valid (${config.projects.length} projects)`);
+}
+
+// Execute main function
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main };
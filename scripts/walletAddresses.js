@@ -0,0 +1,57 @@
+// scripts/walletAddresses.js
+const koiosClient = require('./koiosClient');
+
+// Addresses resolved for each configured wallet during this run
+const resolvedAddresses = new Map();
+
+/**
+ * Checks whether a configured wallet is a stake (reward) address.
+ */
+function isStakeAddress(wallet) {
+  return /^stake(_test)?1/.test(wallet || '');
+}
+
+/**
+ * Checks whether an address belongs to a wallet.
+ *
+ * @param {string|Array<string>} wallet - A single address or every address of an account
+ * @param {string} address - Bech32 address to check
+ * @returns {boolean} - True if the address is part of the wallet
+ */
+function matchesWallet(wallet, address) {
+  if (!address) return false;
+  return Array.isArray(wallet) ? wallet.includes(address) : address === wallet;
+}
+
+/**
+ * Resolves a configured wallet into the payment addresses it covers.
+ * Stake addresses expand to every address of the account (via Koios
+ * account_addresses, including addresses without UTxOs, so past
+ * transactions are still attributed); payment addresses stand alone.
+ *
+ * @param {string} wallet - Payment or stake address (bech32)
+ * @returns {Promise<Array<string>>} - Payment addresses of the wallet
+ */
+async function resolveWalletAddresses(wallet) {
+  if (!isStakeAddress(wallet)) return [wallet];
+  if (resolvedAddresses.has(wallet)) return resolvedAddresses.get(wallet);
+
+  const accounts = await koiosClient.post('account_addresses', {
+    _stake_addresses: [wallet],
+    _first_only: false,
+    _empty: true
+  });
+  const addresses = (accounts || []).flatMap(account => account.addresses || []);
+  if (addresses.length === 0) {
+    console.log(`Stake address ${wallet} has no addresses on chain yet`);
+  }
+
+  resolvedAddresses.set(wallet, addresses);
+  return addresses;
+}
+
+module.exports = {
+  isStakeAddress,
+  matchesWallet,
+  resolveWalletAddresses
+};
@@ -1,184 +1,221 @@
-import { NextApiRequest, NextApiResponse } from 'next';
-import fs from 'fs';
-import path from 'path';
-
-// Initialize CsvService (reimplementing needed parts to fix module system compatibility)
-class CsvService {
-    private dataDir: string;
-    private initialized: boolean;
-
-    constructor() {
-        this.dataDir = path.join(process.cwd(), 'data');
-        this.initialized = false;
-    }
+// src/pages/api/projects.ts
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { loadProjects, Project, ProjectStatus, PROJECT_STATUSES } from '../../services/projectData';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Related data that can be requested with ?include=, and what is included by default
+const INCLUDES = ['milestones', 'transactions', 'outgoingTransactions', 'collaborators', 'organization'] as const;
+const DEFAULT_INCLUDES: Include[] = ['milestones', 'transactions'];
+type Include = typeof INCLUDES[number];
+
+const SORT_FIELDS = [
+  'projectId', 'title', 'fund', 'status', 'budget', 'fundsDistributed', 'remainingFunds',
+  'totalReceived', 'milestonesPaid', 'startDate', 'endDate'
+] as const;
+type SortField = typeof SORT_FIELDS[number];
+
+interface ProjectQuery {
+  id?: string;
+  funds: number[];
+  statuses: ProjectStatus[];
+  from?: string;
+  to?: string;
+  sort: SortField;
+  order: 'asc' | 'desc';
+  page: number;
+  pageSize: number;
+  include: Include[];
+}
 
-    async initialize(): Promise<void> {
-        if (this.initialized) return;
-
-        try {
-            if (!fs.existsSync(this.dataDir)) {
-                fs.mkdirSync(this.dataDir, { recursive: true });
-            }
-            this.initialized = true;
-        } catch (error) {
-            console.error('Error initializing CSV Service:', error);
-            throw error;
-        }
-    }
+class QueryError extends Error {}
+
+/**
+ * Reads a query parameter as a single string.
+ */
+function single(value: string | string[] | undefined): string | undefined {
+  return Array.isArray(value) ? value[value.length - 1] : value;
+}
+
+/**
+ * Reads a comma separated (or repeated) query parameter.
+ */
+function list(value: string | string[] | undefined): string[] {
+  return (Array.isArray(value) ? value : [value || ''])
+    .flatMap(item => item.split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+function parseDate(name: string, value: string | undefined): string | undefined {
+  if (value === undefined) return undefined;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+    throw new QueryError(`${name} must be a date as YYYY-MM-DD`);
+  }
+  return value;
+}
+
+function parsePositiveInteger(name: string, value: string | undefined, fallback: number, max?: number): number {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || (max !== undefined && number > max)) {
+    throw new QueryError(`${name} must be a whole number from 1${max !== undefined ? ` to ${max}` : ''}`);
+  }
+  return number;
+}
 
-    async readCsv(fileName: string): Promise<string[][]> {
-        await this.initialize();
-
-        try {
-            const filePath = path.join(this.dataDir, `${fileName}.csv`);
-
-            // Check if file exists
-            if (!fs.existsSync(filePath)) {
-                return [];
-            }
-
-            // Read and parse CSV
-            const content = fs.readFileSync(filePath, 'utf8');
-            const rows = content.split('\n').map(row =>
-                // Handle quoted fields containing commas
-                row.match(/(".*?"|[^",]+)(?=\s*,|\s*$)/g)?.map(field =>
-                    field.startsWith('"') && field.endsWith('"') ?
-                        field.slice(1, -1).replace(/""/g, '"') :
-                        field
-                ) || []
-            );
-
-            return rows;
-        } catch (error) {
-            console.error(`Error reading CSV file ${fileName}:`, error);
-            throw error;
-        }
+/**
+ * Validates the query string of a request.
+ */
+function parseQuery(query: NextApiRequest['query']): ProjectQuery {
+  const funds = list(query.fund).map(value => {
+    const match = value.match(/^(?:f|fund)?(\d+)$/i);
+    if (!match) throw new QueryError(`Invalid fund: ${value}`);
+    return Number(match[1]);
+  });
+
+  const statuses = list(query.status).map(value => {
+    if (!PROJECT_STATUSES.includes(value as ProjectStatus)) {
+      throw new QueryError(`Invalid status: ${value} (expected ${PROJECT_STATUSES.join(', ')})`);
+    }
+    return value as ProjectStatus;
+  });
+
+  const sort = single(query.sort) || 'projectId';
+  if (!SORT_FIELDS.includes(sort as SortField)) {
+    throw new QueryError(`Invalid sort: ${sort} (expected ${SORT_FIELDS.join(', ')})`);
+  }
+
+  const order = single(query.order) || 'asc';
+  if (order !== 'asc' && order !== 'desc') {
+    throw new QueryError('order must be asc or desc');
+  }
+
+  const include = query.include === undefined ? DEFAULT_INCLUDES : list(query.include).map(value => {
+    if (!INCLUDES.includes(value as Include)) {
+      throw new QueryError(`Invalid include: ${value} (expected ${INCLUDES.join(', ')})`);
     }
+    return value as Include;
+  });
+
+  const from = parseDate('from', single(query.from));
+  const to = parseDate('to', single(query.to));
+  if (from && to && from > to) {
+    throw new QueryError('from must not be after to');
+  }
+
+  return {
+    id: single(query.id),
+    funds,
+    statuses,
+    from,
+    to,
+    sort: sort as SortField,
+    order,
+    page: parsePositiveInteger('page', single(query.page), 1),
+    pageSize: parsePositiveInteger('pageSize', single(query.pageSize), DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE),
+    include
+  };
 }
 
-const csvService = new CsvService();
+/**
+ * Whether a project matches the filters. The date range keeps projects whose
+ * configured dateRanges overlap it.
+ */
+function matchesFilters(project: Project, query: ProjectQuery): boolean {
+  if (query.funds.length > 0 && (project.fund === null || !query.funds.includes(project.fund))) return false;
+  if (query.statuses.length > 0 && !query.statuses.includes(project.status)) return false;
+  if (query.from && (!project.endDate || project.endDate < query.from)) return false;
+  if (query.to && (!project.startDate || project.startDate > query.to)) return false;
+  return true;
+}
 
-// Define types for our data structures
-interface Record {
-    project_id: string;
-    [key: string]: string;
+/**
+ * Orders projects by a field; missing values sort last in either direction.
+ */
+function compareProjects(field: SortField, order: 'asc' | 'desc') {
+  const direction = order === 'asc' ? 1 : -1;
+  return (a: Project, b: Project): number => {
+    const left = a[field];
+    const right = b[field];
+    if (left === right) return a.projectId.localeCompare(b.projectId);
+    if (left === null) return 1;
+    if (right === null) return -1;
+    const result = typeof left === 'number' && typeof right === 'number'
+      ? left - right
+      : String(left).localeCompare(String(right), undefined, { numeric: true });
+    return result * direction;
+  };
 }
 
-interface CompleteProjectData {
-    // Base project properties
-    [key: string]: string | Record[] | Record;
-    project_id: string;
-    // Relationships
-    milestones: Record[];
-    transactions: Record[];
-    financials: Record;
+/**
+ * Keeps the related data that was asked for.
+ */
+function withIncludes(project: Project, include: Include[]): Partial<Project> {
+  const result: Partial<Project> = { ...project };
+  for (const key of INCLUDES) {
+    if (!include.includes(key)) delete result[key];
+  }
+  return result;
 }
 
 /**
- * API route to fetch project data from CSV files
- * GET /api/projects - Returns all projects
- * GET /api/projects?id=1000107 - Returns a specific project
+ * API route serving the tracked projects from the CSV datasets
+ * GET /api/projects - Paginated list, e.g. ?fund=13&status=overdue&from=2025-01-01&sort=budget&order=desc&page=2
+ * GET /api/projects?id=1300134 - A single project
+ *
+ * Query parameters: fund, status (not_started, in_progress, overdue, completed),
+ * from / to (YYYY-MM-DD, overlapping the project's date range), sort, order,
+ * page, pageSize (max 100) and include (milestones, transactions,
+ * outgoingTransactions, collaborators, organization; default milestones,transactions).
  */
 export default async function handler(req: NextApiRequest, res: NextApiResponse) {
-    if (req.method !== 'GET') {
-        return res.status(405).json({ error: 'Method not allowed' });
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let query: ProjectQuery;
+  try {
+    query = parseQuery(req.query);
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
     }
-
-    try {
-        // Check if a specific project ID is requested
-        const projectId = req.query.id as string;
-
-        // Fetch proposal data from CSV
-        const proposalsData = await csvService.readCsv('Proposals');
-
-        if (!proposalsData.length) {
-            return res.status(404).json({ error: 'No project data found' });
-        }
-
-        const headers = proposalsData[0];
-        const proposals: Record[] = proposalsData.slice(1).map(row => {
-            const proposal: Record = { project_id: '' };
-            headers.forEach((header: string, index: number) => {
-                proposal[header] = row[index] || '';
-            });
-            return proposal;
-        });
-
-        // Filter by project ID if specified
-        const filteredProposals = projectId
-            ? proposals.filter(p => p.project_id === projectId)
-            : proposals;
-
-        if (projectId && filteredProposals.length === 0) {
-            return res.status(404).json({ error: 'Project not found' });
-        }
-
-        // For each project, fetch milestone and financial data
-        const projectsWithDetails = await Promise.all(
-            filteredProposals.map(async (proposal) => {
-                // Fetch milestones
-                const milestonesData = await csvService.readCsv('Milestones');
-                const milestoneHeaders = milestonesData[0];
-                const milestones: Record[] = milestonesData.slice(1)
-                    .filter(row => row[0] === proposal.project_id)
-                    .map(row => {
-                        const milestone: Record = { project_id: proposal.project_id };
-                        milestoneHeaders.forEach((header: string, index: number) => {
-                            milestone[header] = row[index] || '';
-                        });
-                        return milestone;
-                    });
-
-                // Fetch transactions
-                const transactionsData = await csvService.readCsv('Transactions');
-                const transactionHeaders = transactionsData[0];
-                const transactions: Record[] = transactionsData.slice(1)
-                    .filter(row => row[0] === proposal.project_id)
-                    .map(row => {
-                        const transaction: Record = { project_id: proposal.project_id };
-                        transactionHeaders.forEach((header: string, index: number) => {
-                            transaction[header] = row[index] || '';
-                        });
-                        return transaction;
-                    });
-
-                // Fetch financials
-                const financialsData = await csvService.readCsv('Financials');
-                const financialHeaders = financialsData[0];
-                const financialsArray = financialsData.slice(1)
-                    .filter(row => row[0] === proposal.project_id)
-                    .map(row => {
-                        const financial: Record = { project_id: proposal.project_id };
-                        financialHeaders.forEach((header: string, index: number) => {
-                            financial[header] = row[index] || '';
-                        });
-                        return financial;
-                    });
-
-                const financials: Record = financialsArray[0] || { project_id: proposal.project_id };
-
-                // Create complete project data with proper type handling
-                const projectWithDetails: CompleteProjectData = {
-                    ...proposal,
-                    milestones,
-                    transactions,
-                    financials,
-                };
-
-                return projectWithDetails;
-            })
-        );
-
-        // Return a single project or all projects
-        res.status(200).json(
-            projectId ? projectsWithDetails[0] : projectsWithDetails
-        );
-
-    } catch (error) {
-        console.error('Error fetching project data:', error);
-        res.status(500).json({
-            error: 'Failed to fetch project data',
-            details: error instanceof Error ? error.message : String(error)
-        });
+    throw error;
+  }
+
+  try {
+    const projects = loadProjects();
+
+    if (query.id) {
+      const project = projects.find(candidate => candidate.projectId === query.id);
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      return res.status(200).json(withIncludes(project, query.include));
     }
-} 
\ No newline at end of file
+
+    const matching = projects
+      .filter(project => matchesFilters(project, query))
+      .sort(compareProjects(query.sort, query.order));
+    const start = (query.page - 1) * query.pageSize;
+
+    res.status(200).json({
+      data: matching.slice(start, start + query.pageSize).map(project => withIncludes(project, query.include)),
+      pagination: {
+        page: query.page,
+        pageSize: query.pageSize,
+        total: matching.length,
+        totalPages: Math.ceil(matching.length / query.pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching project data:', error);
+    res.status(500).json({
+      error: 'Failed to fetch project data',
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+}
@@ -0,0 +1,298 @@
+// src/services/projectData.ts
+import path from 'path';
+import { readDataset } from '../../scripts/datasets';
+import projectsConfig from '../config/projects.json';
+
+type Value = string | number | boolean | null;
+type Row = { [header: string]: Value };
+
+export type ProjectStatus = 'not_started' | 'in_progress' | 'overdue' | 'completed';
+export const PROJECT_STATUSES: ProjectStatus[] = ['not_started', 'in_progress', 'overdue', 'completed'];
+
+export interface FiatValue {
+  price: number | null;
+  value: number | null;
+}
+
+export interface Milestone {
+  milestone: number | null;
+  month: number | null;
+  cost: number | null;
+  completion: number | null;
+  somSignoffCount: number | null;
+  poaSignoffCount: number | null;
+  outputsApproved: boolean | null;
+  successCriteriaApproved: boolean | null;
+  evidenceApproved: boolean | null;
+  poaContentApproved: boolean | null;
+  paidAmount: number | null;
+  paidTxHash: string;
+  paidDate: string | null;
+  approvedUnpaid: boolean | null;
+  dueDate: string | null;
+  status: string;
+}
+
+export interface Transaction {
+  txHash: string;
+  date: string | null;
+  amount: number | null;
+  assets: string;
+  fiat: { [currency: string]: FiatValue };
+  metadata: string;
+}
+
+export interface OutgoingTransaction {
+  txHash: string;
+  date: string | null;
+  recipients: string;
+  amountSent: number | null;
+  assetsSent: string;
+  fee: number | null;
+  change: number | null;
+  runningBalance: number | null;
+  runningAssetBalance: string;
+  metadata: string;
+}
+
+export interface Collaborator {
+  name: string;
+  fundsAllocated: number | null;
+  paidToDate: number | null;
+  outstanding: number | null;
+  expectedToDate: number | null;
+  overdue: number | null;
+}
+
+export interface OrganizationFinancials {
+  organization: string;
+  projects: string;
+  totalBudgetAllProjects: number | null;
+  realMonthlyBudget: number | null;
+  monthsWithRealBudget: number | null;
+  maxMonthlyBudget: number | null;
+  monthsWithMaxBudget: number | null;
+  totalReceived: number | null;
+  totalReceivedAssets: string;
+  totalReceivedFiat: { [currency: string]: number | null };
+  remainingFunds: number | null;
+  walletBalanceAda: number | null;
+  walletBalanceUsd: number | null;
+  walletAssets: string;
+  accumulatedRewards: number | null;
+  withdrawnRewards: number | null;
+}
+
+export interface Project {
+  projectId: string;
+  title: string;
+  fund: number | null;
+  status: ProjectStatus;
+  budget: number | null;
+  fundsDistributed: number | null;
+  remainingFunds: number | null;
+  totalReceived: number;
+  milestonesQuantity: number | null;
+  milestonesPaid: number;
+  milestoneUrl: string;
+  startDate: string | null;
+  endDate: string | null;
+  milestones: Milestone[];
+  transactions: Transaction[];
+  outgoingTransactions: OutgoingTransaction[];
+  collaborators: Collaborator[];
+  organization: OrganizationFinancials[];
+}
+
+const asNumber = (value: Value): number | null => (typeof value === 'number' ? value : null);
+const asBoolean = (value: Value): boolean | null => (typeof value === 'boolean' ? value : null);
+const asDate = (value: Value): string | null => (value === null || value === '' ? null : String(value));
+const asString = (value: Value): string => (value === null ? '' : String(value));
+
+/**
+ * Collects per-currency columns such as "Value (USD)" into { USD: value }.
+ */
+function perCurrency(row: Row, prefix: string): { [currency: string]: number | null } {
+  const values: { [currency: string]: number | null } = {};
+  for (const [header, value] of Object.entries(row)) {
+    const match = header.match(/^(.+) \(([A-Z]{3})\)$/);
+    if (match && match[1] === prefix) values[match[2]] = asNumber(value);
+  }
+  return values;
+}
+
+/**
+ * Groups rows by a project ID column.
+ */
+function groupByProject(rows: Row[], column: string): Map<string, Row[]> {
+  const groups = new Map<string, Row[]>();
+  for (const row of rows) {
+    const projectId = asString(row[column]);
+    groups.set(projectId, [...(groups.get(projectId) || []), row]);
+  }
+  return groups;
+}
+
+/**
+ * Catalyst project IDs start with the fund number, e.g. 1300134 is Fund 13.
+ */
+export function fundOf(projectId: string): number | null {
+  return /^\d{6,}$/.test(projectId) ? Math.floor(Number(projectId) / 100000) : null;
+}
+
+/**
+ * Derives a project status from its milestone statuses: completed once every
+ * milestone is paid, overdue while any milestone is overdue.
+ */
+function projectStatus(milestones: Milestone[], milestonesQuantity: number | null): ProjectStatus {
+  if (milestones.length === 0) return 'not_started';
+
+  const paid = milestones.filter(milestone => milestone.status === 'paid').length;
+  if (paid >= Math.max(milestonesQuantity || 0, milestones.length)) return 'completed';
+  if (milestones.some(milestone => milestone.status === 'overdue')) return 'overdue';
+  if (milestones.every(milestone => milestone.status === 'not_started')) return 'not_started';
+  return 'in_progress';
+}
+
+function toMilestone(row: Row): Milestone {
+  return {
+    milestone: asNumber(row.milestone),
+    month: asNumber(row.month),
+    cost: asNumber(row.cost),
+    completion: asNumber(row.completion),
+    somSignoffCount: asNumber(row.som_signoff_count),
+    poaSignoffCount: asNumber(row.poa_signoff_count),
+    outputsApproved: asBoolean(row.outputs_approved),
+    successCriteriaApproved: asBoolean(row.success_criteria_approved),
+    evidenceApproved: asBoolean(row.evidence_approved),
+    poaContentApproved: asBoolean(row.poa_content_approved),
+    paidAmount: asNumber(row.paid_amount),
+    paidTxHash: asString(row.paid_tx_hash),
+    paidDate: asDate(row.paid_date),
+    approvedUnpaid: asBoolean(row.approved_unpaid),
+    dueDate: asDate(row.due_date),
+    status: asString(row.status)
+  };
+}
+
+function toTransaction(row: Row): Transaction {
+  const prices = perCurrency(row, 'ADA Price');
+  const values = perCurrency(row, 'Value');
+  const currencies = [...new Set([...Object.keys(prices), ...Object.keys(values)])];
+
+  return {
+    txHash: asString(row['Transaction Hash']),
+    date: asDate(row.Date),
+    amount: asNumber(row.Amount),
+    assets: asString(row.Assets),
+    fiat: Object.fromEntries(currencies.map(currency => [
+      currency,
+      { price: prices[currency] ?? null, value: values[currency] ?? null }
+    ])),
+    metadata: asString(row.Metadata)
+  };
+}
+
+function toOutgoingTransaction(row: Row): OutgoingTransaction {
+  return {
+    txHash: asString(row['Transaction Hash']),
+    date: asDate(row.Date),
+    recipients: asString(row.Recipients),
+    amountSent: asNumber(row['Amount Sent']),
+    assetsSent: asString(row['Assets Sent']),
+    fee: asNumber(row.Fee),
+    change: asNumber(row.Change),
+    runningBalance: asNumber(row['Running Balance']),
+    runningAssetBalance: asString(row['Running Asset Balance']),
+    metadata: asString(row.Metadata)
+  };
+}
+
+function toCollaborator(row: Row): Collaborator {
+  return {
+    name: asString(row['Collaborator Name']),
+    fundsAllocated: asNumber(row['Funds Allocated to Collaborator']),
+    paidToDate: asNumber(row['Paid To Date']),
+    outstanding: asNumber(row.Outstanding),
+    expectedToDate: asNumber(row['Expected To Date']),
+    overdue: asNumber(row.Overdue)
+  };
+}
+
+function toOrganizationFinancials(row: Row): OrganizationFinancials {
+  return {
+    organization: asString(row.Organization),
+    projects: asString(row.Projects),
+    totalBudgetAllProjects: asNumber(row['Total Budget All Projects']),
+    realMonthlyBudget: asNumber(row['Real Monthly Budget']),
+    monthsWithRealBudget: asNumber(row['Months with Real Budget']),
+    maxMonthlyBudget: asNumber(row['Max Monthly Budget']),
+    monthsWithMaxBudget: asNumber(row['Months with Max Budget']),
+    totalReceived: asNumber(row['Total Received']),
+    totalReceivedAssets: asString(row['Total Received Assets']),
+    totalReceivedFiat: perCurrency(row, 'Total Received'),
+    remainingFunds: asNumber(row['Remaining Funds']),
+    walletBalanceAda: asNumber(row['Wallet Balance (ADA)']),
+    walletBalanceUsd: asNumber(row['Wallet Balance (USD)']),
+    walletAssets: asString(row['Wallet Assets']),
+    accumulatedRewards: asNumber(row['Accumulated Rewards (ADA)']),
+    withdrawnRewards: asNumber(row['Withdrawn Rewards (ADA)'])
+  };
+}
+
+/**
+ * Whether a global_financials row covers a project: rows cover "ALL"
+ * projects or list project IDs.
+ */
+function coversProject(organization: OrganizationFinancials, projectId: string): boolean {
+  return organization.projects === 'ALL' || organization.projects.split(/[\s,;]+/).includes(projectId);
+}
+
+/**
+ * Reads the datasets in data/ once and joins them into one typed object per
+ * tracked project. Milestones, transactions and collaborators are joined on
+ * their project ID columns; organization financials on the projects they cover.
+ *
+ * @param dataDir - Directory holding the dataset files (defaults to data/ in the working directory)
+ */
+export function loadProjects(dataDir: string = path.join(process.cwd(), 'data')): Project[] {
+  const read = (dataset: string) => readDataset(dataDir, dataset).records as Row[];
+
+  const milestonesByProject = groupByProject(read('milestones'), 'project_id');
+  const transactionsByProject = groupByProject(read('transactions'), 'Project ID');
+  const outgoingByProject = groupByProject(read('outgoing_transactions'), 'Project ID');
+  const collaboratorsByProject = groupByProject(read('collaborators'), 'Project ID');
+  const organizations = read('global_financials').map(toOrganizationFinancials);
+  const dateRanges = new Map(projectsConfig.projects.map(project => [project.project_id, project.dateRanges]));
+
+  return read('proposals').map(proposal => {
+    const projectId = asString(proposal['Project ID']);
+    const milestones = (milestonesByProject.get(projectId) || [])
+      .map(toMilestone)
+      .sort((a, b) => (a.milestone ?? 0) - (b.milestone ?? 0));
+    const transactions = (transactionsByProject.get(projectId) || []).map(toTransaction);
+    const milestonesQuantity = asNumber(proposal['Milestones Quantity']);
+    const dateRange = dateRanges.get(projectId);
+
+    return {
+      projectId,
+      title: asString(proposal.Title),
+      fund: fundOf(projectId),
+      status: projectStatus(milestones, milestonesQuantity),
+      budget: asNumber(proposal.Budget),
+      fundsDistributed: asNumber(proposal['Funds Distributed']),
+      remainingFunds: asNumber(proposal['Remaining Funds']),
+      totalReceived: transactions.reduce((sum, tx) => sum + (tx.amount || 0), 0),
+      milestonesQuantity,
+      milestonesPaid: milestones.filter(milestone => milestone.status === 'paid').length,
+      milestoneUrl: asString(proposal['Milestone URL']),
+      startDate: dateRange?.start || null,
+      endDate: dateRange?.end || null,
+      milestones,
+      transactions,
+      outgoingTransactions: (outgoingByProject.get(projectId) || []).map(toOutgoingTransaction),
+      collaborators: (collaboratorsByProject.get(projectId) || []).map(toCollaborator),
+      organization: organizations.filter(organization => coversProject(organization, projectId))
+    };
+  });
+}
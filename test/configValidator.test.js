@@ -0,0 +1,110 @@
+// test/configValidator.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { isValidAddress, validateConfig, validateCollaboratorBudget } = require('../scripts/configValidator');
+const projectsConfig = require('../src/config/projects.json');
+
+const WALLET = projectsConfig.projects[0].wallet;
+const STAKE_ADDRESS = projectsConfig.globalSettings.organizations[0].wallet;
+
+/**
+ * Validates a copy of projects.json after applying a change to it
+ */
+function errorsAfter(change, options) {
+  const config = JSON.parse(JSON.stringify(projectsConfig));
+  change(config);
+  return validateConfig(config, options).map(error => `${error.path} ${error.message}`);
+}
+
+test('accepts src/config/projects.json', () => {
+  assert.deepStrictEqual(validateConfig(projectsConfig), []);
+});
+
+test('checks bech32 addresses and their checksum', () => {
+  assert.ok(isValidAddress(WALLET));
+  assert.ok(isValidAddress(STAKE_ADDRESS));
+  assert.ok(!isValidAddress(`${WALLET.slice(0, -1)}${WALLET.endsWith('q') ? 'p' : 'q'}`));
+  assert.ok(!isValidAddress(WALLET.toUpperCase().slice(0, 10) + WALLET.slice(10)));
+  assert.ok(!isValidAddress('addr1'));
+  assert.ok(!isValidAddress('bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq'));
+
+  assert.deepStrictEqual(errorsAfter(config => {
+    config.projects[0].wallet = `${WALLET.slice(0, -1)}${WALLET.endsWith('q') ? 'p' : 'q'}`;
+  }), ['$.projects[0].wallet must be a valid bech32 Cardano address (addr1... or stake1...)']);
+});
+
+test('reports schema errors with their JSON path', () => {
+  const cases = [
+    [config => { delete config.projects[0].wallet; }, '$.projects[0].wallet is required'],
+    [config => { config.projects[0].project_id = 1300134; }, '$.projects[0].project_id must be string, got integer'],
+    [config => { config.projects[0].project_id = 'F13-134'; }, '$.projects[0].project_id must match ^[0-9]+$'],
+    [config => { config.projects[0].dateRanges.end = '2025-02-30'; }, '$.projects[0].dateRanges.end must be a valid date in YYYY-MM-DD format'],
+    [config => { config.projects[0].walet = WALLET; }, '$.projects[0].walet is not a known setting'],
+    [config => { config.globalSettings.koios.pageSize = 0; }, '$.globalSettings.koios.pageSize must be at least 1'],
+    [config => { config.globalSettings.payoutRules.pattern = '(fund'; }, '$.globalSettings.payoutRules.pattern must be a valid regular expression'],
+    [config => { config.globalSettings.prices.providers[0].type = 'binance'; },
+      '$.globalSettings.prices.providers[0].type must be one of "kraken", "coingecko", "coinbase"'],
+    [config => { config.globalSettings.notifications.channels[0].webhookURLEnv = 'DISCORD'; },
+      '$.globalSettings.notifications.channels[0].webhookURLEnv is not a known setting'],
+    [config => { config.globalSettings.storage.sinks[0].requried = true; },
+      '$.globalSettings.storage.sinks[0].requried is not a known setting'],
+    [config => { config.projects[0].collaborators[0].allocation = 0.2; },
+      '$.projects[0].collaborators[0] must have exactly one of amount, allocation, not amount and allocation'],
+    [config => { delete config.projects[0].collaborators[0].amount; },
+      '$.projects[0].collaborators[0] must have exactly one of amount, allocation']
+  ];
+  for (const [change, expected] of cases) {
+    assert.deepStrictEqual(errorsAfter(change), [expected]);
+  }
+});
+
+test('rejects duplicate project IDs', () => {
+  assert.deepStrictEqual(errorsAfter(config => {
+    config.projects[1].project_id = config.projects[0].project_id;
+  }), ['$.projects[1].project_id duplicates $.projects[0].project_id']);
+});
+
+test('rejects date ranges that end before they start', () => {
+  assert.deepStrictEqual(errorsAfter(config => {
+    config.projects[0].dateRanges = { start: '2025-12-31', end: '2025-01-01' };
+  }), ['$.projects[0].dateRanges start 2025-12-31 is after end 2025-01-01']);
+});
+
+test('rejects collaborators allocating more than the budget', () => {
+  const project = {
+    collaborators: [{ name: 'Cquisitor', amount: 40000 }, { name: 'Team', allocation: 0.5 }]
+  };
+
+  assert.deepStrictEqual(validateCollaboratorBudget(project, 100000), []);
+  assert.deepStrictEqual(validateCollaboratorBudget(project, 60000, '$.projects[0]'), [
+    { path: '$.projects[0].collaborators', message: 'allocate 70000 ADA, more than the budget of 60000 ADA' }
+  ]);
+
+  // Without a budget only the shares can be checked
+  assert.deepStrictEqual(validateCollaboratorBudget(project), []);
+  assert.deepStrictEqual(validateCollaboratorBudget({ collaborators: [{ name: 'A', allocation: 0.6 }, { name: 'B', allocation: 0.5 }] }), [
+    { path: '$.collaborators', message: 'allocations add up to 110% of the budget' }
+  ]);
+
+  // A fetched budget takes precedence over the project's own
+  assert.deepStrictEqual(errorsAfter(config => { config.projects[0].budget = 30000; }),
+    ['$.projects[0].collaborators allocate 40000 ADA, more than the budget of 30000 ADA']);
+  assert.deepStrictEqual(errorsAfter(config => { config.projects[0].budget = 30000; }, { budgets: { 1300134: 200000 } }), []);
+});
+
+test('requires the settings each alert rule type needs', () => {
+  const cases = [
+    ['runway', 'minMonths'],
+    ['milestone_overdue', 'days'],
+    ['balance_drop', 'percent']
+  ];
+  for (const [type, setting] of cases) {
+    assert.deepStrictEqual(errorsAfter(config => {
+      config.globalSettings.alerts.rules = [{ type }];
+    }), [`$.globalSettings.alerts.rules[0].${setting} is required for ${type} rules`]);
+  }
+
+  assert.deepStrictEqual(errorsAfter(config => {
+    config.globalSettings.alerts.rules = [{ type: 'over_budget' }];
+  }), []);
+});
@@ -0,0 +1,65 @@
+// test/csv.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, stringifyCsv, formatField } = require('../scripts/csv');
+
+test('keeps commas and escaped quotes inside quoted fields', () => {
+  assert.deepStrictEqual(parseCsv('Project ID,Title\n1300134,"Mesh: Cquisitor, ""Transaction"" Tool"\n'), [
+    ['Project ID', 'Title'],
+    ['1300134', 'Mesh: Cquisitor, "Transaction" Tool']
+  ]);
+});
+
+test('keeps line breaks inside quoted fields', () => {
+  assert.deepStrictEqual(parseCsv('a,b\n"line 1\nline 2",x\n"crlf\r\ninside",y'), [
+    ['a', 'b'],
+    ['line 1\nline 2', 'x'],
+    ['crlf\r\ninside', 'y']
+  ]);
+});
+
+test('reads CRLF and CR line endings', () => {
+  const expected = [['a', 'b'], ['1', '2'], ['3', '4']];
+  assert.deepStrictEqual(parseCsv('a,b\r\n1,2\r\n3,4\r\n'), expected);
+  assert.deepStrictEqual(parseCsv('a,b\r1,2\r3,4'), expected);
+});
+
+test('ignores a leading byte order mark', () => {
+  assert.deepStrictEqual(parseCsv('\uFEFFProject ID,Title\n1300134,Cquisitor'), [
+    ['Project ID', 'Title'],
+    ['1300134', 'Cquisitor']
+  ]);
+});
+
+test('keeps empty fields in place', () => {
+  assert.deepStrictEqual(parseCsv('a,b,c,d\n,2,,\n1,,"",4\n'), [
+    ['a', 'b', 'c', 'd'],
+    ['', '2', '', ''],
+    ['1', '', '', '4']
+  ]);
+});
+
+test('rejects an unterminated quoted field', () => {
+  assert.throws(() => parseCsv('a,b\n1,"open\n'), /Unterminated quoted field in CSV row 2/);
+});
+
+test('quotes only the fields that need it', () => {
+  assert.strictEqual(formatField('plain'), 'plain');
+  assert.strictEqual(formatField('a, b'), '"a, b"');
+  assert.strictEqual(formatField('say "hi"'), '"say ""hi"""');
+  assert.strictEqual(formatField('two\nlines'), '"two\nlines"');
+  assert.strictEqual(formatField(null), '');
+  assert.strictEqual(formatField(undefined), '');
+  assert.strictEqual(formatField(0), '0');
+  assert.strictEqual(formatField(false), 'false');
+});
+
+test('reads back what it writes', () => {
+  const rows = [
+    ['Project ID', 'Title', 'Budget', 'Metadata'],
+    ['1300134', 'Mesh: Cquisitor, "Tool"', '200000', ''],
+    ['1300135', 'Line 1\r\nLine 2', '', '{"674":{"msg":["Fund13"]}}']
+  ];
+  assert.deepStrictEqual(parseCsv(stringifyCsv(rows)), rows);
+  assert.deepStrictEqual(parseCsv(stringifyCsv(rows, { lineEnding: '\r\n' })), rows);
+});
@@ -0,0 +1,86 @@
+// test/databaseService.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const databaseService = require('../scripts/databaseService');
+
+// node:sqlite is built into Node.js 22.5 and later
+let hasSqlite = true;
+try {
+  require('node:sqlite');
+} catch {
+  hasSqlite = false;
+}
+
+let dataDir;
+
+function tx(txHash, amount) {
+  return { txHash, date: '2025-02-10', amount, assets: [], metadata: '' };
+}
+
+function project(projectId, transactions, collaborators = ['Cquisitor']) {
+  return {
+    projectId,
+    proposal: { id: 1, title: `Project ${projectId}`, budget: 200000, funds_distributed: 80000, milestones_qty: 2 },
+    wallet: 'addr1test',
+    financials: {
+      startDate: '2025-01-01',
+      endDate: '2025-12-31',
+      collaboratorAllocations: collaborators.map(name => ({ name, totalAmount: 40000, allocation: 0.2 }))
+    },
+    transactions,
+    outgoingTransactions: [],
+    walletBalance: 1000,
+    milestones: [{ milestone: 1, cost: 40000, status: 'paid' }, { milestone: 2, cost: 40000, status: 'in_progress' }]
+  };
+}
+
+function recordRun(projects, failedProjects = []) {
+  return databaseService.recordRun({
+    startedAt: new Date().toISOString(),
+    projects,
+    failedProjects,
+    organizations: [],
+    changes: 0,
+    alerts: 0
+  });
+}
+
+function rows(table, projectId) {
+  return databaseService.open().prepare(`SELECT * FROM ${table} WHERE project_id = ? ORDER BY 2`).all(projectId);
+}
+
+before(() => {
+  if (!hasSqlite) return;
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'database-'));
+  databaseService.configure({ path: path.join(dataDir, 'catalyst.db') });
+});
+
+after(() => {
+  if (!hasSqlite) return;
+  databaseService.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('replaces the transactions, milestones and collaborators of processed projects', { skip: !hasSqlite && 'needs node:sqlite' }, () => {
+  recordRun([
+    project('1300134', [tx('aa11', 40000), tx('cc33', 40000)], ['Cquisitor', 'Team']),
+    project('1300135', [tx('dd44', 25000)])
+  ]);
+  assert.deepStrictEqual(rows('transactions', '1300134').map(row => row.tx_hash), ['aa11', 'cc33']);
+
+  // cc33 stopped counting as a payout and Team was removed; 1300135 failed this run
+  const next = project('1300134', [tx('aa11', 40000)]);
+  next.milestones = [next.milestones[0]];
+  recordRun([next], [{ projectId: '1300135' }]);
+
+  assert.deepStrictEqual(rows('transactions', '1300134').map(row => row.tx_hash), ['aa11']);
+  assert.deepStrictEqual(rows('milestones', '1300134').map(row => row.milestone), [1]);
+  assert.deepStrictEqual(rows('collaborators', '1300134').map(row => row.name), ['Cquisitor']);
+
+  // A failed project keeps its last known state
+  assert.deepStrictEqual(rows('transactions', '1300135').map(row => row.tx_hash), ['dd44']);
+  assert.strictEqual(rows('milestones', '1300135').length, 2);
+});
@@ -0,0 +1,84 @@
+// test/datasets.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { datasetHeaders, getSchema, parseValue, readDataset } = require('../scripts/datasets');
+
+test('repeats per-currency column groups for each currency', () => {
+  assert.deepStrictEqual(datasetHeaders('transactions', ['USD', 'EUR']), [
+    'Project ID', 'Project Title', 'Transaction Hash', 'Date', 'Amount', 'Assets',
+    'ADA Price (USD)', 'Value (USD)', 'ADA Price (EUR)', 'Value (EUR)',
+    'Metadata'
+  ]);
+  assert.ok(!datasetHeaders('transactions').some(header => header.includes('{currency}')));
+});
+
+test('prefixes history datasets with the snapshot date', () => {
+  assert.deepStrictEqual(datasetHeaders('history/proposals').slice(0, 2), ['snapshot_date', 'Project ID']);
+  assert.throws(() => getSchema('unknown'), /Unknown dataset: unknown/);
+});
+
+test('converts fields to their column types', () => {
+  assert.strictEqual(parseValue('40000', 'number'), 40000);
+  assert.strictEqual(parseValue('', 'number'), null);
+  assert.strictEqual(parseValue('n/a', 'number'), null);
+  assert.strictEqual(parseValue('true', 'boolean'), true);
+  assert.strictEqual(parseValue('0', 'boolean'), false);
+  assert.strictEqual(parseValue('', 'boolean'), null);
+  assert.strictEqual(parseValue('2025-02-10', 'date'), '2025-02-10');
+  assert.strictEqual(parseValue('', 'date'), null);
+  assert.strictEqual(parseValue('', 'string'), '');
+});
+
+test('reads a dataset file as typed records', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'datasets-'));
+  try {
+    fs.writeFileSync(path.join(dataDir, 'transactions.csv'), [
+      '\uFEFFProject ID,Project Title,Transaction Hash,Date,Amount,Assets,ADA Price (USD),Value (USD),Metadata',
+      '1300134,"Mesh: Cquisitor, Transaction Tool",aa11,2025-02-10,40000,,0.45,18000,"{""674"":{""msg"":[""Fund13""]}}"',
+      '1300135,"Hydra\r\nTools",bb22,,,,,,',
+      ',,,,,,,,',
+      ''
+    ].join('\r\n'));
+
+    const { headers, records } = readDataset(dataDir, 'transactions');
+
+    assert.strictEqual(headers[0], 'Project ID');
+    assert.strictEqual(records.length, 2);
+    assert.deepStrictEqual(records[0], {
+      'Project ID': '1300134',
+      'Project Title': 'Mesh: Cquisitor, Transaction Tool',
+      'Transaction Hash': 'aa11',
+      Date: '2025-02-10',
+      Amount: 40000,
+      Assets: '',
+      'ADA Price (USD)': 0.45,
+      'Value (USD)': 18000,
+      Metadata: '{"674":{"msg":["Fund13"]}}'
+    });
+    assert.deepStrictEqual(records[1], {
+      'Project ID': '1300135',
+      'Project Title': 'Hydra\r\nTools',
+      'Transaction Hash': 'bb22',
+      Date: null,
+      Amount: null,
+      Assets: '',
+      'ADA Price (USD)': null,
+      'Value (USD)': null,
+      Metadata: ''
+    });
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('reads a missing dataset as empty', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'datasets-'));
+  try {
+    assert.deepStrictEqual(readDataset(dataDir, 'proposals'), { headers: [], records: [] });
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,96 @@
+// test/milestonePayouts.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseMilestoneReferences, matchMilestonePayouts } = require('../scripts/milestonePayouts');
+
+// Milestones 1 and 2 are approved, 3 is not; 3 has its own cost so amount matches are unambiguous
+const MILESTONES = [
+  { milestone: 1, cost: 40000, poa_signoff_count: 1, approved_date: '2025-02-01' },
+  { milestone: 2, cost: 40000, poa_signoff_count: 1, approved_date: '2025-04-01' },
+  { milestone: 3, cost: 30000, poa_signoff_count: 0 }
+];
+
+function payout(txHash, date, amount, metadata = '') {
+  return { txHash, date, amount, metadata };
+}
+
+/**
+ * Paid amount and paying transactions per milestone number
+ */
+function paid(result) {
+  return Object.fromEntries(result.milestones.map(milestone =>
+    [milestone.milestone, [milestone.paid_amount, milestone.paid_tx_hash]]
+  ));
+}
+
+test('reads milestone references from payout messages', () => {
+  assert.deepStrictEqual(parseMilestoneReferences('Fund13 Cohort payout milestone 2'), [2]);
+  assert.deepStrictEqual(parseMilestoneReferences('Milestones 1 and 2'), [1, 2]);
+  assert.deepStrictEqual(parseMilestoneReferences('milestones #1, #2 & 3'), [1, 2, 3]);
+  assert.deepStrictEqual(parseMilestoneReferences('F13 M3 payout'), [3]);
+  assert.deepStrictEqual(parseMilestoneReferences('MS4'), [4]);
+  assert.deepStrictEqual(parseMilestoneReferences('Fund13 Cohort'), []);
+  assert.deepStrictEqual(parseMilestoneReferences(undefined), []);
+});
+
+test('manual overrides come first', () => {
+  const result = matchMilestonePayouts(MILESTONES, [
+    payout('aa11', '2025-05-01', 40000, 'milestone 1')
+  ], [{ txHash: 'aa11', milestones: [2] }]);
+
+  assert.deepStrictEqual(paid(result), { 1: [0, ''], 2: [40000, 'aa11'], 3: [0, ''] });
+  assert.deepStrictEqual(result.unmatched, []);
+});
+
+test('an override without milestones keeps a payout from paying any', () => {
+  const result = matchMilestonePayouts(MILESTONES, [
+    payout('aa11', '2025-05-01', 40000, 'milestone 1')
+  ], [{ txHash: 'aa11', milestones: [] }]);
+
+  assert.deepStrictEqual(paid(result), { 1: [0, ''], 2: [0, ''], 3: [0, ''] });
+  assert.deepStrictEqual(result.unmatched, []);
+});
+
+test('metadata references come before amounts', () => {
+  // 30000 equals the cost of milestone 3, but the message names milestone 1
+  const result = matchMilestonePayouts(MILESTONES, [payout('aa11', '2025-05-01', 30000, 'Fund13 M1')]);
+
+  assert.deepStrictEqual(paid(result), { 1: [30000, 'aa11'], 2: [0, ''], 3: [0, ''] });
+});
+
+test('a payout for several milestones pays their costs in order', () => {
+  const result = matchMilestonePayouts(MILESTONES, [payout('aa11', '2025-05-01', 85000, 'milestones 1 and 2')]);
+
+  assert.deepStrictEqual(paid(result), { 1: [40000, 'aa11'], 2: [45000, 'aa11'], 3: [0, ''] });
+});
+
+test('amounts equal to a cost come before chronological order', () => {
+  // Milestone 1 is the first approved one, but 30000 is the cost of milestone 3
+  const result = matchMilestonePayouts(MILESTONES, [payout('aa11', '2025-05-01', 30000)]);
+
+  assert.deepStrictEqual(paid(result), { 1: [0, ''], 2: [0, ''], 3: [30000, 'aa11'] });
+});
+
+test('other payouts go to the first unpaid milestone approved by their date', () => {
+  const result = matchMilestonePayouts(MILESTONES, [
+    payout('aa11', '2025-03-01', 20000),
+    payout('bb22', '2025-03-15', 25000),
+    payout('cc33', '2025-05-01', 10000)
+  ]);
+
+  // Milestone 2 was approved after bb22, so bb22 tops up milestone 1
+  assert.deepStrictEqual(paid(result), { 1: [45000, 'aa11; bb22'], 2: [10000, 'cc33'], 3: [0, ''] });
+  assert.strictEqual(result.milestones[0].paid_date, '2025-03-15');
+  assert.deepStrictEqual(result.milestones.map(milestone => milestone.approved_unpaid), [false, true, false]);
+});
+
+test('payouts no rule matches are returned as unmatched', () => {
+  const result = matchMilestonePayouts(MILESTONES, [
+    payout('aa11', '2025-01-15', 12345, 'Fund13 Cohort'),
+    payout('bb22', '2025-05-01', 40000, 'milestone 9')
+  ]);
+
+  // aa11 predates every approval; milestone 9 does not exist, but bb22 still matches milestone 1 by amount
+  assert.deepStrictEqual(result.unmatched.map(tx => tx.txHash), ['aa11']);
+  assert.deepStrictEqual(paid(result), { 1: [40000, 'bb22'], 2: [0, ''], 3: [0, ''] });
+});
@@ -0,0 +1,62 @@
+// test/milestoneStatus.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { milestoneDueDate, deriveMilestoneStatuses } = require('../scripts/milestoneStatus');
+
+test('milestones are due the given number of months after the start (UTC)', () => {
+  const cases = [
+    ['2025-01-01', 0, '2025-01-01'],
+    ['2025-01-01', 3, '2025-04-01'],
+    ['2025-01-15', 12, '2026-01-15'],
+    ['2025-11-30', 3, '2026-02-28'],
+    ['2025-01-31', 1, '2025-02-28'],
+    ['2024-01-31', 1, '2024-02-29'],
+    ['2025-03-31', 1, '2025-04-30'],
+    ['2025-01-31', 2, '2025-03-31'],
+    ['2025-01-01', undefined, '2025-01-01']
+  ];
+  for (const [start, month, expected] of cases) {
+    assert.strictEqual(milestoneDueDate(start, month), expected, `${start} + ${month} months`);
+  }
+});
+
+test('statuses follow paid > poa_approved > overdue > som_approved > submitted > in_progress > not_started', () => {
+  // Started 2025-01-01, today is 2025-06-15: month 1 is past due, month 12 is not
+  const now = new Date('2025-06-15T12:00:00Z');
+  const cases = [
+    ['paid beats PoA approval and the due date', { month: 1, cost: 40000, paid_amount: 40000, poa_signoff_count: 1 }, 'paid'],
+    ['paid within the amount tolerance', { month: 1, cost: 40000, paid_amount: 39999.5, poa_signoff_count: 1 }, 'paid'],
+    ['PoA approval beats the due date', { month: 1, cost: 40000, paid_amount: 20000, poa_signoff_count: 1 }, 'poa_approved'],
+    ['overdue beats SoM approval', { month: 1, cost: 40000, som_signoff_count: 1, evidence_approved: true }, 'overdue'],
+    ['a part payment does not settle it', { month: 1, cost: 40000, paid_amount: 20000 }, 'overdue'],
+    ['SoM approval beats reviewed flags', { month: 12, cost: 40000, som_signoff_count: 1, evidence_approved: true }, 'som_approved'],
+    ['any reviewed flag means submitted', { month: 12, cost: 40000, poa_content_approved: true }, 'submitted'],
+    ['started once the project has started', { month: 12, cost: 40000 }, 'in_progress'],
+    ['due today is not overdue yet', { month: 5, cost: 40000 }, 'in_progress', '2025-01-15']
+  ];
+  for (const [name, milestone, expected, start = '2025-01-01'] of cases) {
+    const [result] = deriveMilestoneStatuses([{ milestone: 1, ...milestone }], start, now);
+    assert.strictEqual(result.status, expected, name);
+  }
+});
+
+test('a milestone starts once the previous one is due', () => {
+  const now = new Date('2025-03-15T00:00:00Z');
+  const milestones = deriveMilestoneStatuses([
+    { milestone: 2, month: 6, cost: 40000 },
+    { milestone: 1, month: 3, cost: 40000 },
+    { milestone: 3, month: 9, cost: 40000, completion: 10 }
+  ], '2025-01-01', now);
+
+  assert.deepStrictEqual(milestones.map(milestone => [milestone.milestone, milestone.due_date, milestone.status]), [
+    [1, '2025-04-01', 'in_progress'],
+    [2, '2025-07-01', 'not_started'],
+    [3, '2025-10-01', 'in_progress']
+  ]);
+});
+
+test('nothing has started before the project start', () => {
+  const [milestone] = deriveMilestoneStatuses([{ milestone: 1, month: 1, cost: 40000 }], '2025-09-01', new Date('2025-06-15T00:00:00Z'));
+  assert.strictEqual(milestone.status, 'not_started');
+  assert.strictEqual(milestone.due_date, '2025-10-01');
+});
@@ -0,0 +1,156 @@
+// test/notificationService.test.js
+// Sends a message through every channel type to local stand-ins for the
+// webhook endpoints and the SMTP server
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const net = require('net');
+const notificationService = require('../scripts/notificationService');
+
+const MESSAGE = {
+  title: 'Catalyst sync <test>',
+  lines: ['Project 1300134 milestone 3: evidence approved', 'A & B'],
+  footer: '2 changes',
+  severity: 'warning'
+};
+
+const requests = [];
+const mails = [];
+let httpServer;
+let smtpServer;
+let httpUrl;
+let smtpUrl;
+
+/**
+ * Answers JSON posts with 200 and records them; /slow never answers
+ */
+function startHttpServer() {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/slow') return;
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"ok":true}');
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+/**
+ * Minimal SMTP server that accepts every mail and records its DATA
+ */
+function startSmtpServer() {
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let data = null;
+
+    socket.write('220 localhost ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            mails.push(data.join('\n'));
+            data = null;
+            socket.write('250 OK\r\n');
+          } else {
+            data.push(line);
+          }
+        } else if (/^(EHLO|HELO)/i.test(line)) {
+          socket.write('250 localhost\r\n');
+        } else if (/^DATA/i.test(line)) {
+          data = [];
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (/^QUIT/i.test(line)) {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+before(async () => {
+  httpServer = await startHttpServer();
+  smtpServer = await startSmtpServer();
+  httpUrl = `http://127.0.0.1:${httpServer.address().port}`;
+  smtpUrl = `smtp://127.0.0.1:${smtpServer.address().port}`;
+});
+
+after(() => {
+  httpServer.closeAllConnections();
+  httpServer.close();
+  smtpServer.close();
+});
+
+test('delivers the message in the format of each channel', async () => {
+  notificationService.configure([
+    { type: 'discord', webhookUrl: `${httpUrl}/discord` },
+    { type: 'slack', webhookUrl: `${httpUrl}/slack` },
+    { type: 'telegram', botToken: 'TOKEN', chatId: '-100', apiBaseUrl: httpUrl },
+    { type: 'webhook', url: `${httpUrl}/webhook`, headers: { 'X-Token': 'secret' } },
+    { type: 'email', smtpUrl, from: 'monitor@example.com', to: ['finance@example.com'] }
+  ]);
+
+  const results = await notificationService.notify(MESSAGE);
+
+  assert.deepStrictEqual(results.map(result => [result.channel, result.sent]), [
+    ['discord', true], ['slack', true], ['telegram', true], ['webhook', true], ['email', true]
+  ]);
+
+  const byUrl = Object.fromEntries(requests.map(request => [request.url, request]));
+
+  assert.strictEqual(byUrl['/discord'].body.content, [
+    'Catalyst sync <test>',
+    '- Project 1300134 milestone 3: evidence approved',
+    '- A & B',
+    '(2 changes)'
+  ].join('\n'));
+  assert.strictEqual(byUrl['/discord'].body.username, 'Catalyst Monitor Bot');
+
+  assert.strictEqual(byUrl['/slack'].body.text, [
+    '*Catalyst sync &lt;test&gt;*',
+    '• Project 1300134 milestone 3: evidence approved',
+    '• A &amp; B',
+    '_2 changes_'
+  ].join('\n'));
+
+  const telegram = byUrl['/botTOKEN/sendMessage'].body;
+  assert.strictEqual(telegram.chat_id, '-100');
+  assert.strictEqual(telegram.parse_mode, 'HTML');
+  assert.match(telegram.text, /^<b>Catalyst sync &lt;test&gt;<\/b>\n/);
+  assert.match(telegram.text, /<i>2 changes<\/i>$/);
+
+  const webhook = byUrl['/webhook'];
+  assert.strictEqual(webhook.headers['x-token'], 'secret');
+  assert.deepStrictEqual(webhook.body.lines, MESSAGE.lines);
+  assert.strictEqual(webhook.body.severity, 'warning');
+  assert.strictEqual(webhook.body.footer, '2 changes');
+
+  assert.strictEqual(mails.length, 1);
+  assert.match(mails[0], /^Subject: Catalyst sync <test>$/m);
+  assert.match(mails[0], /^To: finance@example\.com$/m);
+  assert.match(mails[0], /- A & B/);
+});
+
+test('gives up on a channel that does not answer within its timeout', async () => {
+  notificationService.configure([
+    { type: 'webhook', name: 'slow', url: `${httpUrl}/slow`, timeoutMs: 200 },
+    { type: 'discord', webhookUrl: `${httpUrl}/discord` }
+  ]);
+
+  const results = await notificationService.notify(MESSAGE);
+
+  assert.strictEqual(results[0].sent, false);
+  assert.match(results[0].error, /timeout/i);
+  assert.strictEqual(results[1].sent, true);
+});
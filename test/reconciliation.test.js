@@ -0,0 +1,92 @@
+// test/reconciliation.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { reconcileProject, reconcileProjects } = require('../scripts/reconciliation');
+
+/**
+ * A project without discrepancies: 80,000 of 200,000 ADA distributed and
+ * received, matching its two approved milestones
+ */
+function project(projectId = '1300134', overrides = {}) {
+  return {
+    projectId,
+    proposal: { title: `Project ${projectId}`, budget: 200000, funds_distributed: 80000, ...overrides.proposal },
+    transactions: overrides.transactions || [
+      { txHash: `${projectId}-aa11`, date: '2025-02-10', amount: 40000 },
+      { txHash: `${projectId}-bb22`, date: '2025-04-15', amount: 40000 }
+    ],
+    milestones: overrides.milestones || [
+      { milestone: 1, cost: 40000, poa_signoff_count: 1 },
+      { milestone: 2, cost: 40000, poa_signoff_count: 1 },
+      { milestone: 3, cost: 40000, poa_signoff_count: 0 }
+    ],
+    outOfRangeReceipts: overrides.outOfRangeReceipts
+  };
+}
+
+test('a project that adds up has no issues', () => {
+  const reconciliation = reconcileProject(project());
+
+  assert.deepStrictEqual(reconciliation.issues, []);
+  assert.strictEqual(reconciliation.totalReceived, 80000);
+  assert.strictEqual(reconciliation.approvedMilestoneCosts, 80000);
+  assert.strictEqual(reconciliation.distributedMinusReceived, 0);
+  assert.deepStrictEqual(reconciliation.duplicateTxHashes, []);
+});
+
+test('differences within 1 ADA are rounding', () => {
+  const reconciliation = reconcileProject(project('1300134', { proposal: { funds_distributed: 80000.5 } }));
+  assert.deepStrictEqual(reconciliation.issues, []);
+});
+
+test('flags a distributed amount that was not received', () => {
+  const reconciliation = reconcileProject(project('1300134', { proposal: { funds_distributed: 120000 } }));
+
+  assert.deepStrictEqual(reconciliation.issues, ['Catalyst reports 120000 ADA distributed, 80000 ADA received on-chain']);
+  assert.strictEqual(reconciliation.distributedMinusReceived, 40000);
+});
+
+test('flags approved milestones that were not paid', () => {
+  const milestones = [1, 2, 3].map(milestone => ({ milestone, cost: 40000, poa_signoff_count: 1 }));
+  const reconciliation = reconcileProject(project('1300134', { milestones }));
+
+  assert.deepStrictEqual(reconciliation.issues, [
+    '80000 ADA received for 120000 ADA of approved milestones',
+    'Catalyst reports 80000 ADA distributed for 120000 ADA of approved milestones'
+  ]);
+});
+
+test('flags receipts above the budget', () => {
+  const reconciliation = reconcileProject(project('1300134', { proposal: { budget: 60000 } }));
+  assert.deepStrictEqual(reconciliation.issues, ['80000 ADA received, more than the budget of 60000 ADA']);
+});
+
+test('flags a payout counted twice within a project', () => {
+  const tx = { txHash: 'aa11', date: '2025-02-10', amount: 40000 };
+  const reconciliation = reconcileProject(project('1300134', { transactions: [tx, { ...tx }] }));
+
+  assert.deepStrictEqual(reconciliation.duplicateTxHashes, ['aa11']);
+  assert.deepStrictEqual(reconciliation.issues, ['duplicate payout transaction(s) aa11']);
+});
+
+test('flags a payout counted by several projects on each of them', () => {
+  const shared = { txHash: 'shared', date: '2025-02-10', amount: 40000 };
+  const [first, second, third] = reconcileProjects([
+    project('1300134', { transactions: [shared, { txHash: 'aa11', date: '2025-04-15', amount: 40000 }] }),
+    project('1300135', { transactions: [shared, { txHash: 'bb22', date: '2025-04-15', amount: 40000 }] }),
+    project('1300136')
+  ]);
+
+  assert.deepStrictEqual(first.duplicateTxHashes, ['shared']);
+  assert.deepStrictEqual(first.issues, ['payout shared is also counted by project(s) 1300135']);
+  assert.deepStrictEqual(second.issues, ['payout shared is also counted by project(s) 1300134']);
+  assert.deepStrictEqual(third.issues, []);
+});
+
+test('flags payouts outside the configured dateRanges', () => {
+  const outOfRangeReceipts = [{ txHash: 'ee55', date: '2024-12-01', amount: 1500.25 }];
+  const reconciliation = reconcileProject(project('1300134', { outOfRangeReceipts }));
+
+  assert.deepStrictEqual(reconciliation.issues, ['1 payout(s) outside dateRanges: ee55 (2024-12-01, 1500.25 ADA)']);
+  assert.deepStrictEqual(reconciliation.outOfRangeReceipts, outOfRangeReceipts);
+});